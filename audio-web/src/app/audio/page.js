@@ -1,138 +1,318 @@
 "use client";
 
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { useRouter } from 'next/navigation';
-import { Music, Download, Trash, Router } from 'lucide-react';
-import AudioPlayer from 'react-h5-audio-player';
-import 'react-h5-audio-player/lib/styles.css';
+import React, { useState, useEffect, useRef, useCallback, useMemo, Suspense } from 'react';
+import { useRouter, useSearchParams, usePathname } from 'next/navigation';
+import { Music, Download, Trash, ListPlus, Folder, FolderPlus, ChevronRight } from 'lucide-react';
 import styles from '../../styles/audioFiles.module.css';
+import Link from 'next/link';
+import VirtualList from '@/components/VirtualList';
+import Waveform from '@/components/Waveform';
+import CoverArt from '@/components/CoverArt';
+import SpectrumAnalyzer from '@/components/SpectrumAnalyzer';
+import DropOverlay from '@/components/DropOverlay';
+import { listFiles, listFolders, createFolder, moveFile, downloadFile, deleteFile, toFileKey, getErrorCategory } from '@/utils/api';
+import { useAuth } from '@/context/AuthContext';
+import { usePlayer } from '@/context/PlayerContext';
+import { usePlaylists, toPlaylistTrack } from '@/hooks/usePlaylists';
+import { can, ACTIONS } from '@/utils/permissions';
+import { AUDIO_CATEGORIES } from '@/utils/audioCategories';
+import { setPendingUploads } from '@/utils/uploads';
+import {
+  normalizeFolderPath,
+  joinFolderPath,
+  getFileFolder,
+  getBreadcrumbs,
+  expandFolders,
+  getChildFolders,
+  getHomeFolder,
+  isWithinFolder,
+} from '@/utils/folders';
+import {
+  SORT_OPTIONS,
+  EMPTY_FILTERS,
+  parseDuration,
+  formatDuration,
+  parseLibraryQuery,
+  buildLibraryQuery,
+  hasActiveFilters,
+  getFileOwner,
+} from '@/utils/library';
+
+// Sample tracks are only shown when the backend is unreachable and demo mode is enabled.
+// Next only inlines NEXT_PUBLIC_ variables into the browser bundle.
+const DEMO_MODE = process.env.NEXT_PUBLIC_DEMO_MODE === 'true';
+
+const DEMO_AUDIO_FILES = [
+  { id: 1, title: 'Trombone Duet', artist: 'John Doe', duration: '3:45', fileName: 'trombone_duet.mp3', isDemo: true },
+  { id: 2, title: 'Piano Sonata', artist: 'Jane Smith', duration: '5:20', fileName: 'piano_sonata.mp3', isDemo: true },
+  { id: 3, title: 'Drum Solo', artist: 'Mike Johnson', duration: '2:15', fileName: 'drum_solo.mp3', isDemo: true },
+  { id: 4, title: 'Ambient Sounds', artist: 'Sarah Williams', duration: '4:30', fileName: 'ambient_sounds.mp3', isDemo: true },
+  { id: 5, title: 'Electronic Beat', artist: 'David Brown', duration: '3:10', fileName: 'electronic_beat.mp3', isDemo: true },
+];
+
+// Automatic retries for network and server errors: 1s, 2s, 4s, 8s
+const MAX_AUTO_RETRIES = 4;
+const RETRY_BASE_DELAY = 1000;
+
+// What to tell the user for each error category from getErrorCategory
+const ERROR_MESSAGES = {
+  network: {
+    title: "Can't reach the server",
+    message: 'Check your internet or VPN connection.',
+  },
+  auth: {
+    title: "You don't have access to the audio library",
+    message: 'Your session may have ended, or your account is not allowed to list files.',
+  },
+  server: {
+    title: 'The server ran into a problem',
+    message: 'This is usually temporary.',
+  },
+};
 
+/**
+ * Reads the upload time of a file from the metadata the backend may send
+ * @param {Object} file - An entry of the /list-files response
+ * @returns {number|null} Millisecond timestamp, or null if unknown
+ */
+const getUploadedAt = (file) => {
+  const value = file.upload_date || file.uploaded_at || file.created_at;
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
 
-// Server configuration for local development
-// const SERVER_URL = 'http://127.0.0.1:8000';
-// const SERVER_URL = "http://localhost:8000";
-
-//This config is for AWS ECS service.
-const SERVER_URL = process.env.REACT_APP_BACKEND_URL;
+// Delay before the search box text is written to the URL
+const SEARCH_DEBOUNCE = 300;
+
+// Value of the "New playlist..." option of the add to playlist select
+const NEW_PLAYLIST = '__new__';
+
+// Files requested per page of /list-files
+const PAGE_SIZE = 50;
+// Height of a collapsed card, used until the card has been measured
+const CARD_HEIGHT = 76;
+const FIRST_PAGE = { page: 1, cursor: null, hasMore: false, failed: false, total: null };
+
+// Key of a card in the virtual list, defined once so the list does not see a new function each render
+const getAudioKey = audio => audio.id;
+
+/**
+ * Formats an entry of the /list-files response for display.
+ * The id is derived from the file path so it stays the same when more pages are loaded,
+ * which keeps the expanded track and the rendered cards stable.
+ *
+ * @param {string|Object} file - A file name or a metadata object
+ * @param {number} index - Position of the file in the whole list
+ * @returns {Object} The formatted audio file
+ */
+const formatAudioFile = (file, index) => {
+  // For strings (filenames)
+  if (typeof file === 'string') {
+    return {
+      id: file,
+      title: toFileKey(file).replace(/\.[^/.]+$/, "").replace(/_/g, " "),
+      description: '',
+      artist: 'Unknown Artist',
+      audio_category: '',
+      duration: '--:--',
+      durationSeconds: null,
+      uploadedAt: null,
+      fileName: file,
+      filePath: '',
+      folder: getFileFolder(file),
+      owner: getFileOwner(file)
+    };
+  }
+  // For objects with file metadata
+  else if (typeof file === 'object' && file !== null) {
+    return {
+      id: file.filePath || file.fileName || `track-${index + 1}`,
+      // The title tag sent at upload, otherwise the file name
+      title: file.title || (file.fileName || `Track ${index + 1}`).replace(/\.[^/.]+$/, "").replace(/_/g, " "),
+      description: file.audio_description || '',
+      artist: file.artist || 'Unknown Artist',
+      album: file.album || '',
+      year: file.year ? String(file.year) : '',
+      // null when the backend does not say, the cover is then requested and may not exist
+      hasCover: typeof file.has_cover === 'boolean' ? file.has_cover : null,
+      audio_category: file.audio_category || '',
+      duration: formatDuration(parseDuration(file.audio_duration)),
+      durationSeconds: parseDuration(file.audio_duration),
+      uploadedAt: getUploadedAt(file),
+      fileName: file.fileName || `track_${index + 1}.mp3`,
+      filePath: file.filePath || '',
+      folder: normalizeFolderPath(file.folder) || getFileFolder(file.filePath || file.fileName || ''),
+      owner: getFileOwner(file)
+    };
+  }
+  // Fallback
+  else {
+    return {
+      id: `track-${index + 1}`,
+      title: `Track ${index + 1}`,
+      artist: 'Unknown Artist',
+      duration: '--:--',
+      durationSeconds: null,
+      uploadedAt: null,
+      fileName: `track_${index + 1}.mp3`,
+      folder: ''
+    };
+  }
+};
 
 const AudioFilesPage = () => {
   const [audioFiles, setAudioFiles] = useState([]);
   const [loading, setLoading] = useState(true);
+  // { category, detail } from the last failed list request, null when the list loaded
   const [error, setError] = useState(null);
+  // Seconds until the next automatic retry, null when none is scheduled
+  const [retryDelay, setRetryDelay] = useState(null);
+  const [retryAttempt, setRetryAttempt] = useState(0);
+  const retryTimerRef = useRef(null);
   const [expandedTrack, setExpandedTrack] = useState(null);
-  const [currentFolder, setCurrentFolder] = useState('admin');
-  const [audioSources, setAudioSources] = useState({});
-  const [fetchingAudio, setFetchingAudio] = useState(false);
-  const [pendingFetches, setPendingFetches] = useState({});
-  const audioElementRef = useRef(null);
+  // Ids of the tracks whose spectrum analyzer is open
+  const [analyzerTracks, setAnalyzerTracks] = useState(() => new Set());
+  // Ids of the files being deleted, their delete button is disabled meanwhile
+  const [deletingIds, setDeletingIds] = useState(() => new Set());
   const router = useRouter();
-
-
-
-
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+  const { user } = useAuth();
+  const { currentTrack, playTrack, addToQueue, removeTrack } = usePlayer();
+  const { playlists, create: createPlaylist, addTrack: addToPlaylist } = usePlaylists();
+
+  // Search, filters and sort are read from the URL so filtered views can be shared
+  const filters = useMemo(() => parseLibraryQuery(searchParams), [searchParams]);
+  const [searchText, setSearchText] = useState(filters.q);
+  // The last search written to the URL from the search box, see the sync effects below
+  const sentQueryRef = useRef(filters.q);
+  // The folder being browsed is in the URL too, '' is the root with every home folder
+  const currentFolder = normalizeFolderPath(searchParams.get('folder'));
+  // Folders from /folders/, completed with the folders of the loaded files
+  const [folderList, setFolderList] = useState([]);
+
+  // Where the next page starts; the first page is loaded by fetchAudioFiles
+  const [nextPage, setNextPage] = useState(FIRST_PAGE);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const loadingMoreRef = useRef(false);
+  // Incremented on every fresh load so responses for an older query are ignored
+  const listRequestRef = useRef(0);
+
+  // The folder, search, filters and sort are applied by /list-files: filtering or sorting the
+  // loaded pages here would only cover those pages. A search also covers the subfolders.
+  const serverQuery = useMemo(() => ({
+    folder: currentFolder,
+    recursive: filters.q ? 'true' : '',
+    q: filters.q,
+    category: filters.categories.join(','),
+    min: filters.minMinutes,
+    max: filters.maxMinutes,
+    sort: filters.sort,
+  }), [currentFolder, filters.q, filters.categories, filters.minMinutes, filters.maxMinutes, filters.sort]);
 
   /**
-   * Fetches a list of audio files from the server and updates the `audioFiles` state with the
-   * fetched and formatted audio file details. It handles any errors by setting fallback audio files 
-   * if the fetch operation fails. The loading state is managed during the fetch process.
+   * Fetches the first page of audio files for the current filters and replaces the `audioFiles` state
+   * with the formatted audio file details; later pages are appended by `loadMoreFiles`. If the fetch fails, the error is classified as network,
+   * auth or server error; network and server errors are retried automatically with exponential backoff.
+   * Sample tracks are only shown when demo mode is enabled with the NEXT_PUBLIC_DEMO_MODE env flag.
+   * The loading state is managed during the fetch process.
    *
    * @function fetchAudioFiles
    * @async
-   * 
-   * @throws {Error} Throws an error if fetching the files fails or if the server response is in an unexpected format.
+   * @param {number} attempt - The number of automatic retries already made (0 for a fresh load).
    * 
    * @returns {void} This function does not return a value. It updates the component's state (`audioFiles`, `loading`, `error`) 
    * based on the result of the fetch operation.
    */
-  const fetchAudioFiles = useCallback(async () => {
+  const fetchAudioFiles = useCallback(async (attempt = 0) => {
+    clearTimeout(retryTimerRef.current);
+    setRetryDelay(null);
+    const requestId = ++listRequestRef.current;
+
     try {
       setLoading(true);
 
-      // Get access token from sessionStorage
-      const accessToken = sessionStorage.getItem("token");
-
-      const response = await fetch(`${SERVER_URL}/list-files`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          // Add authorization header
-          'Authorization': `Bearer ${accessToken}`
-        },
-        mode: 'cors',
-        credentials: 'include' // Include cookies if using cookie-based auth
-      });
+      const result = await listFiles({ page: 1, limit: PAGE_SIZE, ...serverQuery });
+
+      // A newer load (e.g. after a filter change) has started, drop this response
+      if (requestId !== listRequestRef.current) return;
 
-      if (!response.ok) {
+      const formattedFiles = result.files.map((file, index) => formatAudioFile(file, index));
+      setNextPage({ page: 1, cursor: result.nextCursor, hasMore: result.hasMore, total: result.total });
+      setAudioFiles(formattedFiles);
+      setError(null);
+      setRetryAttempt(0);
+    } catch (err) {
+      if (requestId !== listRequestRef.current) return;
+      console.error("Error fetching files:", err);
+      const category = getErrorCategory(err);
+
+      // authFetch has already tried to refresh the token, so a 401 here means the session is over
+      if (err.status === 401) {
         router.push('/login');
-        throw new Error(`Error fetching audio files: ${response.statusText}`);
       }
 
-      // Get the response data (dictionary with files array)
-      const data = await response.json();
-      console.log("Server response data:", data);
+      setError({ category, detail: err.message });
+      setAudioFiles(DEMO_MODE && category === 'network' ? DEMO_AUDIO_FILES : []);
+      setNextPage(FIRST_PAGE);
 
-      // Check if data has the files property and it's an array
-      if (!data.files || !Array.isArray(data.files)) {
-        console.error("Server did not return a files array:", data);
-        throw new Error("Server response is not in the expected format");
+      // Network and server errors are often temporary, retry with exponential backoff
+      if ((category === 'network' || category === 'server') && attempt < MAX_AUTO_RETRIES) {
+        const delay = RETRY_BASE_DELAY * 2 ** attempt;
+        setRetryAttempt(attempt + 1);
+        setRetryDelay(delay / 1000);
+        retryTimerRef.current = setTimeout(() => fetchAudioFiles(attempt + 1), delay);
       }
+    } finally {
+      if (requestId === listRequestRef.current) setLoading(false);
+    }
+  }, [router, serverQuery, setAudioFiles, setError, setLoading]);
 
-      // Process the files array
-      const formattedFiles = data.files.map((file, index) => {
-        // For strings (filenames)
-        if (typeof file === 'string') {
-          return {
-            id: index + 1,
-            title: file.replace(/\.[^/.]+$/, "").replace(/_/g, " "),
-            description: '',
-            artist: 'Unknown Artist',
-            audio_category: '',
-            duration: '--:--',
-            fileName: file,
-            filePath: ''
-          };
-        }
-        // For objects with file metadata
-        else if (typeof file === 'object' && file !== null) {
-          return {
-            id: index + 1,
-            title: (file.fileName || file.title || `Track ${index + 1}`).replace(/\.[^/.]+$/, "").replace(/_/g, " "),
-            description: file.audio_description || '',
-            artist: file.artist || 'Unknown Artist',
-            audio_category: file.audio_category || '',
-            duration: file.audio_duration || '--:--',
-            fileName: file.fileName || `track_${index + 1}.mp3`,
-            filePath: file.filePath || ''
-          };
-        }
-        // Fallback
-        else {
-          return {
-            id: index + 1,
-            title: `Track ${index + 1}`,
-            artist: 'Unknown Artist',
-            duration: '--:--',
-            fileName: `track_${index + 1}.mp3`
-          };
-        }
-      });
+  /**
+   * Loads the next page of audio files and appends it to the list. Called by the virtual list
+   * when the user scrolls near the end. Files already in the list are skipped, since new uploads
+   * can shift page boundaries between requests.
+   */
+  const loadMoreFiles = useCallback(async () => {
+    if (!nextPage.hasMore || loadingMoreRef.current || loading || error) return;
 
-      setAudioFiles(formattedFiles);
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+    const requestId = listRequestRef.current;
+    const page = nextPage.page + 1;
+
+    try {
+      const result = await listFiles({ page, cursor: nextPage.cursor, limit: PAGE_SIZE, ...serverQuery });
+      if (requestId !== listRequestRef.current) return;
+
+      setAudioFiles(prevFiles => {
+        const knownIds = new Set(prevFiles.map(file => file.id));
+        const newFiles = result.files
+          .map((file, index) => formatAudioFile(file, prevFiles.length + index))
+          .filter(file => !knownIds.has(file.id));
+        return [...prevFiles, ...newFiles];
+      });
+      setNextPage(prev => ({ ...prev, page, cursor: result.nextCursor, hasMore: result.hasMore }));
     } catch (err) {
-      console.error("Error fetching files:", err);
-      setError(err.message);
-      // Fallback data
-      setAudioFiles([
-        { id: 1, title: 'Trombone Duet', artist: 'John Doe', duration: '3:45', fileName: 'trombone_duet.mp3' },
-        { id: 2, title: 'Piano Sonata', artist: 'Jane Smith', duration: '5:20', fileName: 'piano_sonata.mp3' },
-        { id: 3, title: 'Drum Solo', artist: 'Mike Johnson', duration: '2:15', fileName: 'drum_solo.mp3' },
-        { id: 4, title: 'Ambient Sounds', artist: 'Sarah Williams', duration: '4:30', fileName: 'ambient_sounds.mp3' },
-        { id: 5, title: 'Electronic Beat', artist: 'David Brown', duration: '3:10', fileName: 'electronic_beat.mp3' },
-      ]);
+      console.error("Error fetching more files:", err);
+      // Stop paging, the "Load more" button lets the user try again
+      setNextPage(prev => ({ ...prev, hasMore: false, failed: true }));
     } finally {
-      setLoading(false);
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
     }
-  }, [router, setAudioFiles, setError, setLoading]);
+  }, [nextPage, loading, error, serverQuery]);
+
+  // Clears a failed page load so scrolling to the end tries again
+  const retryLoadMore = () => {
+    setNextPage(prev => ({ ...prev, hasMore: true, failed: false }));
+  };
+
+  // Stop any scheduled retry when leaving the page
+  useEffect(() => {
+    return () => clearTimeout(retryTimerRef.current);
+  }, []);
 
   /**
  * This useEffect hook fetches the list of audio files whenever the `currentFolder` state changes.
@@ -143,260 +323,294 @@ const AudioFilesPage = () => {
     fetchAudioFiles();
   }, [currentFolder, fetchAudioFiles]);
 
+  /**
+   * Loads the folder tree once. Older backends without /folders/ still get the folders
+   * of the listed files, so the error is only logged.
+   */
+  useEffect(() => {
+    listFolders()
+      .then(setFolderList)
+      .catch(err => console.warn("Could not load folders:", err.message));
+  }, []);
+
+  // Every known folder, and the ones directly inside the current folder
+  const allFolders = useMemo(() => expandFolders([
+    ...folderList,
+    ...audioFiles.map(file => file.folder).filter(Boolean),
+    currentFolder,
+  ]), [folderList, audioFiles, currentFolder]);
+  const childFolders = useMemo(() => getChildFolders(allFolders, currentFolder), [allFolders, currentFolder]);
+  // Where new folders are created: the current folder if the user may write to it, else their home folder
+  const newFolderParent = can(user, ACTIONS.WRITE_FOLDER, currentFolder) && currentFolder
+    ? currentFolder
+    : getHomeFolder(user);
+  const canCreateFolder = !!newFolderParent && can(user, ACTIONS.WRITE_FOLDER, newFolderParent);
+  // Uploads go to the current folder if the user may write to it, the upload page defaults to their home folder
+  const uploadFolder = can(user, ACTIONS.WRITE_FOLDER, currentFolder) && currentFolder ? currentFolder : '';
+  const uploadHref = uploadFolder ? `/upload?folder=${encodeURIComponent(uploadFolder)}` : '/upload';
 
+  /**
+   * Opens the upload page with files dropped on the library, it queues and checks them there.
+   *
+   * @param {Array<{file: File, subfolder: string}>} files - The dropped files
+   */
+  const handleDropUpload = useCallback((files) => {
+    if (files.length === 0) return;
+    setPendingUploads(files);
+    router.push(uploadHref);
+  }, [router, uploadHref]);
 
   /**
-   * Fetches an audio file from the server with proper authentication. 
-   * It checks if the file is already being fetched to prevent duplicate requests. 
-   * If successful, it stores the audio file's URL in the state; otherwise, it handles errors and timeouts.
-   * 
-   * @function fetchAudioSource
-   * @param {string} fileName - The name (or path) of the audio file to fetch from the server.
-   * 
-   * @returns {Promise<string | null>} - Returns a promise that resolves to the audio file's URL (as a string) if the fetch is successful, or `null` if an error occurs or the fetch is aborted.
-   * 
-   * @throws {Error} If the fetch request fails or times out, an error is logged and the function returns `null`.
+   * Opens a folder. Unlike filter changes this adds a history entry, so the back button
+   * returns to the previous folder.
+   *
+   * @param {string} path - The folder path, '' for the root.
    */
-  const fetchAudioSource = async (fileName) => {
-    try {
-      // If already fetching this file, don't start a new fetch
-      if (pendingFetches[fileName]) {
-        console.log(`Already fetching ${fileName}, skipping duplicate request`);
-        return null;
-      }
+  const openFolder = (path) => {
+    const params = new URLSearchParams(searchParams.toString());
+    if (path) {
+      params.set('folder', path);
+    } else {
+      params.delete('folder');
+    }
+    setExpandedTrack(null);
+    const query = params.toString();
+    router.push(query ? `${pathname}?${query}` : pathname);
+  };
 
-      setFetchingAudio(true);
-      setPendingFetches(prev => ({
-        ...prev,
-        [fileName]: true
-      }));
+  /**
+   * Asks for a name and creates a folder in `newFolderParent`, then opens it.
+   */
+  const handleCreateFolder = async () => {
+    const name = prompt('Name of the new folder');
+    if (!name || !name.trim()) return;
 
-      // Get access token
-      const accessToken = sessionStorage.getItem("token");
+    if (name.includes('/')) {
+      alert('Folder names cannot contain "/"');
+      return;
+    }
 
-      // Extract just the filename from the path
-      const actualFileName = fileName.includes('/')
-        ? fileName.split('/').pop()
-        : fileName;
+    const path = joinFolderPath(newFolderParent, name);
+    try {
+      await createFolder(path);
+      setFolderList(prev => [...prev, path]);
+      openFolder(path);
+    } catch (err) {
+      console.error("Error creating folder:", err);
+      alert(`Failed to create folder: ${err.message}`);
+    }
+  };
 
-      console.log(`Fetching audio for ${actualFileName} with authentication...`);
+  /**
+   * Moves an audio file to another folder and updates its path in the list.
+   * It is removed from the view when the destination is outside the folder being browsed.
+   *
+   * @param {Object} audio - The audio file to move.
+   * @param {string} folder - The destination folder path.
+   */
+  const handleMove = async (audio, folder) => {
+    if (!folder || folder === audio.folder) return;
 
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 30000);
+    if (!can(user, ACTIONS.MOVE, audio) || !can(user, ACTIONS.WRITE_FOLDER, folder)) {
+      alert('You do not have permission to move this file there');
+      return;
+    }
 
-      const response = await fetch(`${SERVER_URL}/stream/${actualFileName}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`
-        },
-        credentials: 'include',
-        signal: controller.signal
-      });
+    try {
+      const result = await moveFile(audio.filePath || audio.fileName, folder);
+      const newPath = result?.filePath || joinFolderPath(folder, toFileKey(audio.fileName));
+
+      // A search lists the subfolders too, otherwise only the folder itself is shown
+      const stillShown = filters.q
+        ? isWithinFolder(folder, currentFolder)
+        : normalizeFolderPath(folder) === currentFolder;
+      setAudioFiles(prevFiles => (stillShown
+        ? prevFiles.map(file => (file.id === audio.id
+          ? {
+            ...file,
+            folder,
+            fileName: file.fileName.includes('/') ? newPath : file.fileName,
+            filePath: file.filePath ? newPath : file.filePath,
+          }
+          : file))
+        : prevFiles.filter(file => file.id !== audio.id)));
+    } catch (err) {
+      console.error("Error moving audio:", err);
+      alert(`Failed to move file: ${err.message}`);
+    }
+  };
 
-      clearTimeout(timeoutId);
+  /**
+   * Writes new library filters to the URL query. `replace` keeps filter tweaks out of the
+   * browser history while still making the current view shareable.
+   *
+   * @param {Object} changes - The filters to change, shaped like EMPTY_FILTERS.
+   */
+  const updateFilters = useCallback((changes) => {
+    const query = buildLibraryQuery({ ...filters, ...changes }, searchParams);
+    router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false });
+  }, [filters, searchParams, pathname, router]);
 
-      if (!response.ok) {
-        throw new Error(`Error streaming audio: ${response.status} ${response.statusText}`);
-      }
+  /**
+   * Syncs the search box to the URL once the user stops typing, so each keystroke
+   * does not trigger a navigation.
+   */
+  useEffect(() => {
+    if (searchText === filters.q) return;
 
-      // Before creating a new blob URL, clean up any existing one
-      if (audioSources[fileName]) {
-        try {
-          URL.revokeObjectURL(audioSources[fileName]);
-        } catch (e) {
-          console.warn("Error revoking URL:", e);
-        }
-      }
+    const timeoutId = setTimeout(() => {
+      sentQueryRef.current = searchText;
+      updateFilters({ q: searchText });
+    }, SEARCH_DEBOUNCE);
+    return () => clearTimeout(timeoutId);
+  }, [searchText, filters.q, updateFilters]);
 
-      const blob = await response.blob();
-      const url = URL.createObjectURL(blob);
+  // Shows the search of the URL when it changes otherwise, e.g. with back and forward. The
+  // search just sent is not written back, it may be older than what was typed meanwhile.
+  useEffect(() => {
+    if (filters.q !== sentQueryRef.current) {
+      setSearchText(filters.q);
+    }
+    sentQueryRef.current = filters.q;
+  }, [filters.q]);
 
-      // Store the URL in state
-      setAudioSources(prev => ({
-        ...prev,
-        [fileName]: url
-      }));
+  /**
+   * Toggles a category filter chip on or off.
+   *
+   * @param {string} category - One of the AUDIO_CATEGORIES values.
+   */
+  const toggleCategory = (category) => {
+    const categories = filters.categories.includes(category)
+      ? filters.categories.filter(c => c !== category)
+      : [...filters.categories, category];
+    updateFilters({ categories });
+  };
 
-      return url;
-    } catch (err) {
-      console.error("Error fetching audio:", err);
-      if (err.name === 'AbortError') {
-        console.log("Fetch request was aborted (timeout)");
-      } else if (err.name !== 'AbortError') {
-        alert(`Failed to load audio: ${err.message}`);
-      }
-      return null;
-    } finally {
-      setFetchingAudio(false);
-      setPendingFetches(prev => {
-        const newState = { ...prev };
-        delete newState[fileName];
-        return newState;
-      });
-    }
+  /**
+   * Updates one end of the duration range from a minutes input.
+   *
+   * @param {string} key - 'minMinutes' or 'maxMinutes'.
+   * @param {string} value - The input value, empty to clear.
+   */
+  const handleDurationChange = (key, value) => {
+    const minutes = value === '' ? null : Math.max(Number(value), 0);
+    updateFilters({ [key]: Number.isNaN(minutes) ? null : minutes });
   };
 
+  // Clears search, filters and sort
+  const clearFilters = () => {
+    setSearchText('');
+    updateFilters(EMPTY_FILTERS);
+  };
+
+  // What the player bar continues with after a track picked from this view
+  const playableFiles = useMemo(() => audioFiles.filter(file => !file.isDemo), [audioFiles]);
+  const filtered = hasActiveFilters(filters);
+  const listEnded = !loading && !error && !nextPage.hasMore;
 
   /**
-   * Toggles the playback of an audio track. Expands the selected track and plays it,
-   * or collapses it and pauses the audio if it's already expanded.
-   * 
-   * @param {number} audioId - The ID of the audio track to toggle.
+   * Expands or collapses an audio card. Expanding a card also starts playing it in the player bar,
+   * with the current library view as what plays next; collapsing it leaves playback alone.
    * 
-   * This function will:
-   * - If the track is already expanded, it will collapse it and pause the audio.
-   * - If another track is expanded, it will pause the current track before expanding and playing the new one.
-   * - It will also check if the audio source for the selected track is already available. If not, it will fetch the audio file.
+   * @param {Object} audio - The audio file of the card.
    */
-  const toggleTrack = async (audioId) => {
+  const toggleTrack = (audio) => {
     // If already expanded, collapse it
-    if (expandedTrack === audioId) {
+    if (expandedTrack === audio.id) {
       setExpandedTrack(null);
-
-      // If there's a current audio element, pause it
-      if (audioElementRef.current) {
-        try {
-          audioElementRef.current.audio.current.pause();
-        } catch (e) {
-          console.warn("Error pausing audio:", e);
-        }
-      }
-
       return;
     }
 
-    // If another track is expanded, pause it first
-    if (expandedTrack !== null && audioElementRef.current) {
-      try {
-        audioElementRef.current.audio.current.pause();
-      } catch (e) {
-        console.warn("Error pausing previous audio:", e);
-      }
-    }
-
-    // Set the new expanded track
-    setExpandedTrack(audioId);
-
-    // Find the new audio file details
-    const audioFile = audioFiles.find(file => file.id === audioId);
+    setExpandedTrack(audio.id);
 
-    // If we don't already have a source for this file, fetch it
-    if (audioFile && !audioSources[audioFile.fileName]) {
-      await fetchAudioSource(audioFile.fileName);
+    // Demo tracks have no file to play
+    if (!audio.isDemo && currentTrack?.id !== audio.id) {
+      playTrack(audio, playableFiles);
     }
   };
 
   /**
-   * Handles errors during audio playback. If an error occurs, it attempts to fetch the audio file again 
-   * if it has not been fetched yet or the previous attempt failed.
-   * 
-   * @param {Object} e - The error object triggered by the playback failure.
-   * @param {string} fileName - The name of the audio file that failed to play.
-   * 
-   * This function will:
-   * - Log the error details to the console.
-   * - If the audio source is not available or an error occurred during playback, it will revoke any existing blob URL 
-   *   and attempt to fetch the audio file again.
-   * - If the file is already being fetched, it prevents multiple fetch attempts.
-   * - If the audio fetch fails again, an error message is logged indicating the failure.
+   * Shows or hides the spectrum analyzer of a track.
+   *
+   * @param {Object} audio - The audio file of the card.
    */
-  const handlePlayError = async (e, fileName) => {
-    console.error("Audio playback error:", e);
-
-    // If we haven't tried fetching the audio yet or last attempt failed
-    if (!audioSources[fileName] || e.target.error) {
-      // First, clean up any existing blob URL to avoid memory leaks
-      if (audioSources[fileName]) {
-        URL.revokeObjectURL(audioSources[fileName]);
-        // Remove the failed source
-        setAudioSources(prev => {
-          const newSources = { ...prev };
-          delete newSources[fileName];
-          return newSources;
-        });
+  const toggleAnalyzer = (audio) => {
+    setAnalyzerTracks((prev) => {
+      const next = new Set(prev);
+      if (next.has(audio.id)) {
+        next.delete(audio.id);
+      } else {
+        next.add(audio.id);
       }
+      return next;
+    });
+  };
 
-      // Check if we're already trying to fetch this file
-      if (pendingFetches[fileName]) {
-        console.log("Already trying to fetch this file, please wait...");
+  /**
+   * Adds an audio file to one of the user's playlists, or to a new playlist named by the user.
+   *
+   * @param {Object} audio - The audio file to add.
+   * @param {string} playlistId - The id of the playlist, or NEW_PLAYLIST to create one.
+   */
+  const handleAddToPlaylist = async (audio, playlistId) => {
+    if (!playlistId) return;
+
+    try {
+      if (playlistId === NEW_PLAYLIST) {
+        const name = prompt('Name of the new playlist');
+        if (!name || !name.trim()) return;
+        await createPlaylist(name, [toPlaylistTrack(audio)]);
+        alert(`Created playlist "${name.trim()}" with ${audio.title}`);
         return;
       }
 
-      console.log("Trying to fetch audio again...");
-      const source = await fetchAudioSource(fileName);
-      if (!source) {
-        console.error(`Could not play audio file ${fileName}. Please check your authentication.`);
-      }
-    } else {
-      console.error(`Error playing audio file ${fileName}. Please check the file path or server connection.`);
+      const playlist = playlists.find(item => String(item.id) === playlistId);
+      const added = await addToPlaylist(playlist?.id ?? playlistId, audio);
+      alert(added
+        ? `Added ${audio.title} to "${playlist?.name}"`
+        : `${audio.title} is already in "${playlist?.name}"`);
+    } catch (err) {
+      console.error("Error adding to playlist:", err);
+      alert(`Failed to add to playlist: ${err.message}`);
     }
   };
 
-
   /**
    * Handles the deletion of an audio file. It sends a request to the server to delete the file and updates the UI accordingly.
    * 
-   * @param {string} audioFileName - The name of the audio file to delete.
+   * @param {Object} audio - The audio file to delete, as formatted by `fetchAudioFiles`.
    * 
    * This function will:
-   * - Retrieve an access token from session storage for authentication.
-   * - Send a DELETE request to the server to remove the audio file.
+   * - Check that the current user may delete the file (their own file, or any file for moderators and admins).
+   * - Send a DELETE request to the server through the API client to remove the audio file.
    * - If the deletion is successful, the function:
    *   - Removes the deleted file from the local state.
-   *   - Revokes the blob URL (if any) to free up memory.
+   *   - Removes the file from the player and its queue.
    *   - Collapses the expanded track if it was the one deleted.
    *   - Displays a success message to the user.
    * - If any error occurs, it logs the error and shows an error message to the user.
+   * Only the card being deleted shows it, the rest of the list stays as it is.
    */
-  const handleDelete = async (audioFileName) => {
-    try {
-      // Get access token
-      const accessToken = sessionStorage.getItem("token");
-
-      // Extract just the filename from the path if needed
-      const actualFileName = audioFileName.includes('/')
-        ? audioFileName.split('/').pop()
-        : audioFileName;
-
-      // Show some indication that deletion is in progress
-      setLoading(true);
+  const handleDelete = async (audio) => {
+    const audioFileName = audio.fileName;
 
-      const response = await fetch(`${SERVER_URL}/delete/${actualFileName}`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`
-        },
-        credentials: 'include',
-      });
+    if (!can(user, ACTIONS.DELETE, audio)) {
+      alert('You do not have permission to delete this file');
+      return;
+    }
+    if (deletingIds.has(audio.id)) return;
 
-      if (!response.ok) {
-        throw new Error(`Error deleting audio: ${response.status} ${response.statusText}`);
-      }
+    try {
+      setDeletingIds(prev => new Set(prev).add(audio.id));
 
-      // Parse the response in case it contains useful information
-      const result = await response.json().catch(() => ({}));
-
-      if (result && result.error) {
-        throw new Error(result.error);
-      }
+      // Throws if the server reports an error, including an `error` field in the body
+      await deleteFile(audioFileName);
 
       // Success - update the UI by removing the deleted file from state
       setAudioFiles(prevFiles => prevFiles.filter(file => file.fileName !== audioFileName));
 
-      // If we have a blob URL for this file, revoke it to free up memory
-      if (audioSources[audioFileName]) {
-        try {
-          URL.revokeObjectURL(audioSources[audioFileName]);
-          // Remove the source from state
-          setAudioSources(prev => {
-            const newSources = { ...prev };
-            delete newSources[audioFileName];
-            return newSources;
-          });
-        } catch (e) {
-          console.warn(`Error revoking URL for ${audioFileName}:`, e);
-        }
-      }
+      // Take it out of the player bar and its queue
+      removeTrack(audioFileName);
 
       // If this was the expanded track, collapse it
       if (expandedTrack && audioFiles.find(file => file.id === expandedTrack)?.fileName === audioFileName) {
@@ -404,13 +618,17 @@ const AudioFilesPage = () => {
       }
 
       // Show a success message
-      alert(`Successfully deleted ${actualFileName}`);
+      alert(`Successfully deleted ${toFileKey(audioFileName)}`);
 
     } catch (err) {
       console.error("Error deleting audio:", err);
       alert(`Failed to delete audio: ${err.message}`);
     } finally {
-      setLoading(false);
+      setDeletingIds((prev) => {
+        const next = new Set(prev);
+        next.delete(audio.id);
+        return next;
+      });
     }
   };
 
@@ -421,8 +639,7 @@ const AudioFilesPage = () => {
    * @param {string} title - The title to be used for the downloaded file.
    * 
    * This function will:
-   * - Retrieve an access token from session storage for authentication.
-   * - Send a GET request to the server to fetch the audio file.
+   * - Send a GET request to the server through the API client to fetch the audio file.
    * - If the request is successful, it:
    *   - Converts the audio file response into a blob.
    *   - Creates a temporary anchor element to trigger the file download with the provided title.
@@ -431,35 +648,9 @@ const AudioFilesPage = () => {
    */
   const handleDownload = async (fileName, title) => {
     try {
-      // Get access token
-      const accessToken = sessionStorage.getItem("token");
-
-      // Extract just the filename from the path
-      const actualFileName = fileName.includes('/')
-        ? fileName.split('/').pop()
-        : fileName;
-
-      console.log(`Downloading audio file ${actualFileName}...`);
-
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 30000);
-
-      const response = await fetch(`${SERVER_URL}/download/${actualFileName}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`
-        },
-        credentials: 'include',
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
+      console.log(`Downloading audio file ${toFileKey(fileName)}...`);
 
-      if (!response.ok) {
-        throw new Error(`Error downloading audio: ${response.status} ${response.statusText}`);
-      }
-
-      const blob = await response.blob();
+      const blob = await downloadFile(fileName);
       const url = URL.createObjectURL(blob);
 
       // Create a temporary anchor element to trigger the download
@@ -476,68 +667,184 @@ const AudioFilesPage = () => {
   };
 
 
-  /**
-   * Cleans up resources when the component is unmounted or when the `audioSources` state changes.
-   * 
-   * This effect performs the following actions:
-   * - Pauses any currently playing audio if an audio element is available.
-   * - Loops through all `audioSources` and revokes any blob URLs to free up memory.
-   * 
-   * It helps to avoid memory leaks by cleaning up resources like playing audio and blob URLs when the component is removed from the DOM.
-   * 
-   * @note This effect depends on the `audioSources` state. If `audioSources` changes, the cleanup will occur accordingly.
-   */
-  useEffect(() => {
-    // Capture the current value of the ref
-    const audioElement = audioElementRef.current;
-
-    // Return the cleanup function
-    return () => {
-      // Use the captured value instead of accessing .current again
-      if (audioElement && audioElement.audio.current) {
-        try {
-          audioElement.audio.current.pause();
-        } catch (e) {
-          console.warn("Error pausing audio on unmount:", e);
-        }
-      }
-
-      // Revoke all blob URLs
-      Object.entries(audioSources).forEach(([key, url]) => {
-        if (url && typeof url === 'string' && url.startsWith('blob:')) {
-          try {
-            URL.revokeObjectURL(url);
-          } catch (e) {
-            console.warn(`Error revoking URL for ${key}:`, e);
-          }
-        }
-      });
-    };
-  }, [audioSources]);
-
   return (
     <div className={styles.audioContainer}>
+      <DropOverlay
+        onDrop={handleDropUpload}
+        enabled={can(user, ACTIONS.UPLOAD)}
+        label={`Drop to upload to ${uploadFolder || getHomeFolder(user) || 'your home folder'}`}
+      />
       <h1 className={styles.pageTitle}>Audio Library</h1>
 
       {loading && <p className={styles.loadingState}>Loading audio files...</p>}
 
-      {error && !loading && (
+      {error && ERROR_MESSAGES[error.category] && !loading && (
         <div className={styles.errorAlert} role="alert">
-          <p>{error}</p>
-          <p className="mt-2">Showing sample data instead.</p>
+          <p className={styles.errorTitle}>{ERROR_MESSAGES[error.category].title}</p>
+          <p>{ERROR_MESSAGES[error.category].message}</p>
+          <p className={styles.errorDetail}>{error.detail}</p>
+          {audioFiles.some(file => file.isDemo) && (
+            <p className={styles.demoNotice}>Demo mode: showing sample tracks, they cannot be played.</p>
+          )}
+          {error.category !== 'auth' && (
+            <div className={styles.errorActions}>
+              <button onClick={() => fetchAudioFiles()} className={styles.retryButton}>
+                Retry now
+              </button>
+              <span>
+                {retryDelay !== null
+                  ? `Retrying automatically in ${retryDelay}s (attempt ${retryAttempt} of ${MAX_AUTO_RETRIES})`
+                  : 'Automatic retries stopped.'}
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Folder tree: breadcrumbs up to the root, then the folders inside the current one */}
+      <nav className={styles.breadcrumbs} aria-label="Folders">
+        <button
+          type="button"
+          onClick={() => openFolder('')}
+          className={styles.breadcrumb}
+          aria-current={!currentFolder ? 'page' : undefined}
+        >
+          All files
+        </button>
+        {getBreadcrumbs(currentFolder).map((crumb) => (
+          <React.Fragment key={crumb.path}>
+            <ChevronRight size={14} className={styles.breadcrumbSeparator} />
+            <button
+              type="button"
+              onClick={() => openFolder(crumb.path)}
+              className={styles.breadcrumb}
+              aria-current={crumb.path === currentFolder ? 'page' : undefined}
+            >
+              {crumb.name}
+            </button>
+          </React.Fragment>
+        ))}
+      </nav>
+
+      {(childFolders.length > 0 || canCreateFolder) && (
+        <div className={styles.folderGrid}>
+          {childFolders.map((folder) => (
+            <button
+              key={folder.path}
+              type="button"
+              onClick={() => openFolder(folder.path)}
+              className={styles.folderCard}
+            >
+              <Folder size={18} />
+              <span className={styles.folderName}>{folder.name}</span>
+              {folder.path === getHomeFolder(user) && <span className={styles.folderHint}>your files</span>}
+            </button>
+          ))}
+          {canCreateFolder && (
+            <button
+              type="button"
+              onClick={handleCreateFolder}
+              className={`${styles.folderCard} ${styles.newFolderCard}`}
+              title={`Create a folder in ${newFolderParent}`}
+            >
+              <FolderPlus size={18} />
+              <span className={styles.folderName}>New folder</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Kept while filtered, a search matching nothing still has to be edited or cleared */}
+      {(audioFiles.length > 0 || filtered) && (
+        <div className={styles.toolbar}>
+          <div className={styles.toolbarRow}>
+            <input
+              type="search"
+              value={searchText}
+              onChange={(e) => setSearchText(e.target.value)}
+              placeholder="Search title, description or artist..."
+              className={styles.searchInput}
+              aria-label="Search audio files"
+            />
+            <select
+              value={filters.sort}
+              onChange={(e) => updateFilters({ sort: e.target.value })}
+              className={styles.sortSelect}
+              aria-label="Sort audio files"
+            >
+              <option value="">Server order</option>
+              {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className={styles.toolbarRow}>
+            <div className={styles.chipRow}>
+              {Object.values(AUDIO_CATEGORIES).map((category) => (
+                <button
+                  key={category}
+                  type="button"
+                  onClick={() => toggleCategory(category)}
+                  className={`${styles.chip} ${filters.categories.includes(category) ? styles.chipActive : ''}`}
+                  aria-pressed={filters.categories.includes(category)}
+                >
+                  {category}
+                </button>
+              ))}
+            </div>
+            <div className={styles.rangeInputs}>
+              <label>
+                Min
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={filters.minMinutes ?? ''}
+                  onChange={(e) => handleDurationChange('minMinutes', e.target.value)}
+                />
+              </label>
+              <label>
+                Max
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={filters.maxMinutes ?? ''}
+                  onChange={(e) => handleDurationChange('maxMinutes', e.target.value)}
+                />
+              </label>
+              <span>min</span>
+            </div>
+          </div>
+
+          {filtered && (
+            <div className={styles.resultCount}>
+              {nextPage.total ?? audioFiles.length} matching file{(nextPage.total ?? audioFiles.length) === 1 ? '' : 's'}
+              <button type="button" onClick={clearFilters} className={styles.clearButton}>
+                Clear filters
+              </button>
+            </div>
+          )}
         </div>
       )}
 
-      <div className={styles.audioList}>
-        {audioFiles.map((audio) => (
+      {/* Only the cards near the viewport are mounted */}
+      <VirtualList
+        items={audioFiles}
+        getKey={getAudioKey}
+        estimatedHeight={CARD_HEIGHT}
+        gap={16}
+        onEndReached={loadMoreFiles}
+        className={styles.audioList}
+        renderItem={(audio) => (
           <div
-            key={audio.id}
             className={`${styles.audioCard} ${expandedTrack === audio.id ? styles.expanded : ''}`}
           >
-            <div className={styles.audioHeader} onClick={() => toggleTrack(audio.id)}>
+            <div className={styles.audioHeader} onClick={() => toggleTrack(audio)}>
               <div className={styles.audioInfo}>
                 <button className={styles.toggleButton}>
-                  <Music size={20} />
+                  <CoverArt track={audio} size={40} className={styles.coverThumb} />
                 </button>
                 <div>
                   <h3 className={styles.audioTitle}>{audio.title}</h3>
@@ -546,6 +853,19 @@ const AudioFilesPage = () => {
               </div>
               <div className={styles.audioActions}>
                 <span className={styles.audioDuration}>{audio.duration}</span>
+                {!audio.isDemo && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      addToQueue(audio);
+                    }}
+                    className={styles.downloadButton}
+                    aria-label={`Add ${audio.title} to the queue`}
+                    title="Add to queue"
+                  >
+                    <ListPlus size={18} />
+                  </button>
+                )}
                 <button
                   onClick={(e) => {
                     //prevent this event travel up the parent elements in the DOM.
@@ -556,83 +876,161 @@ const AudioFilesPage = () => {
                 >
                   <Download size={18} />
                 </button>
-                <button
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    handleDelete(audio.fileName);
-                  }}
-                  className={styles.deleteButton}
-                >
-                  <Trash size={18} />
-                </button>
+                {/* Hidden unless the role may delete this file, see utils/permissions.js */}
+                {can(user, ACTIONS.DELETE, audio) && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleDelete(audio);
+                    }}
+                    className={styles.deleteButton}
+                    disabled={deletingIds.has(audio.id)}
+                    aria-busy={deletingIds.has(audio.id)}
+                  >
+                    <Trash size={18} />
+                  </button>
+                )}
               </div>
             </div>
 
             {expandedTrack === audio.id && (
               <div className={styles.expandedContent}>
-                {/* Added metadata section */}
-                <div className={styles.metadataSection}>
-                  {audio.description && (
-                    <div className={styles.metadataItem}>
-                      <span className={styles.metadataLabel}>Description:</span>
-                      <span className={styles.metadataValue}>{audio.description}</span>
-                    </div>
-                  )}
-                  {audio.audio_category && (
-                    <div className={styles.metadataItem}>
-                      <span className={styles.metadataLabel}>Category:</span>
-                      <span className={styles.metadataValue}>{audio.audio_category}</span>
-                    </div>
-                  )}
-                  {audio.filePath && (
-                    <div className={styles.metadataItem}>
-                      <span className={styles.metadataLabel}>File path:</span>
-                      <span className={styles.metadataValue}>{audio.filePath}</span>
-                    </div>
-                  )}
+                <div className={styles.detailsRow}>
+                  <CoverArt track={audio} size={160} className={styles.coverLarge} />
+                  {/* Added metadata section */}
+                  <div className={styles.metadataSection}>
+                    {audio.description && (
+                      <div className={styles.metadataItem}>
+                        <span className={styles.metadataLabel}>Description:</span>
+                        <span className={styles.metadataValue}>{audio.description}</span>
+                      </div>
+                    )}
+                    {audio.album && (
+                      <div className={styles.metadataItem}>
+                        <span className={styles.metadataLabel}>Album:</span>
+                        <span className={styles.metadataValue}>
+                          {audio.album}{audio.year ? ` (${audio.year})` : ''}
+                        </span>
+                      </div>
+                    )}
+                    {audio.audio_category && (
+                      <div className={styles.metadataItem}>
+                        <span className={styles.metadataLabel}>Category:</span>
+                        <span className={styles.metadataValue}>{audio.audio_category}</span>
+                      </div>
+                    )}
+                    {audio.filePath && (
+                      <div className={styles.metadataItem}>
+                        <span className={styles.metadataLabel}>File path:</span>
+                        <span className={styles.metadataValue}>{audio.filePath}</span>
+                      </div>
+                    )}
+                  </div>
                 </div>
 
                 <div className={styles.playerWrapper}>
-                  {fetchingAudio && !audioSources[audio.fileName] ? (
-                    <div className={styles.loadingState}>Loading audio...</div>
-                  ) : audioSources[audio.fileName] ? (
-                    <AudioPlayer
-                      ref={audioElementRef}
-                      src={audioSources[audio.fileName]}
-                      onPlay={e => console.log("Playing:", audio.title)}
-                      onError={e => handlePlayError(e, audio.fileName)}
-                      autoPlay
-                      className={styles.individualPlayer}
-                      showJumpControls={false}
-                      customAdditionalControls={[]}
-                      layout="horizontal-reverse"
-                    />
+                  {audio.isDemo ? (
+                    <div className={styles.loadingState}>Sample track, not playable in demo mode.</div>
                   ) : (
-                    <div className={styles.loadingState}>
-                      Preparing audio player...
-                      <button
-                        onClick={() => fetchAudioSource(audio.fileName)}
-                        className={styles.retryButton}
-                      >
-                        Click to load audio
-                      </button>
-                    </div>
+                    <>
+                      <Waveform
+                        track={audio}
+                        onPlay={(startAt) => playTrack(audio, playableFiles, { startAt })}
+                      />
+                      {analyzerTracks.has(audio.id) && <SpectrumAnalyzer track={audio} />}
+                      <div className={styles.playActions}>
+                        <button
+                          onClick={() => playTrack(audio, playableFiles)}
+                          className={styles.retryButton}
+                          disabled={currentTrack?.id === audio.id}
+                        >
+                          {currentTrack?.id === audio.id ? 'Now playing' : 'Play'}
+                        </button>
+                        <button onClick={() => addToQueue(audio)} className={styles.clearButton}>
+                          Add to queue
+                        </button>
+                        <button
+                          onClick={() => toggleAnalyzer(audio)}
+                          className={styles.clearButton}
+                          aria-pressed={analyzerTracks.has(audio.id)}
+                        >
+                          {analyzerTracks.has(audio.id) ? 'Hide analyzer' : 'Show analyzer'}
+                        </button>
+                        <select
+                          value=""
+                          onChange={(e) => handleAddToPlaylist(audio, e.target.value)}
+                          className={styles.sortSelect}
+                          aria-label={`Add ${audio.title} to a playlist`}
+                        >
+                          <option value="">Add to playlist...</option>
+                          {playlists.map((playlist) => (
+                            <option key={playlist.id} value={playlist.id}>{playlist.name}</option>
+                          ))}
+                          <option value={NEW_PLAYLIST}>New playlist...</option>
+                        </select>
+                        {can(user, ACTIONS.MOVE, audio) && (
+                          <select
+                            value=""
+                            onChange={(e) => handleMove(audio, e.target.value)}
+                            className={styles.sortSelect}
+                            aria-label={`Move ${audio.title} to another folder`}
+                          >
+                            <option value="">Move to folder...</option>
+                            {allFolders
+                              .filter(folder => folder !== audio.folder && can(user, ACTIONS.WRITE_FOLDER, folder))
+                              .map((folder) => (
+                                <option key={folder} value={folder}>{folder}</option>
+                              ))}
+                          </select>
+                        )}
+                      </div>
+                    </>
                   )}
                 </div>
               </div>
             )}
           </div>
-        ))}
-      </div>
+        )}
+      />
+
+      {loadingMore && <p className={styles.loadingState}>Loading more audio files...</p>}
+
+      {nextPage.failed && !loadingMore && (
+        <div className={styles.loadMore}>
+          <button onClick={retryLoadMore} className={styles.retryButton}>
+            Load more
+          </button>
+        </div>
+      )}
 
-      {audioFiles.length === 0 && !loading && (
+      {filtered && audioFiles.length === 0 && listEnded && (
+        <div className={styles.emptyState}>
+          <p>No audio files match your search and filters</p>
+        </div>
+      )}
+
+      {!filtered && audioFiles.length === 0 && childFolders.length === 0 && listEnded && (
         <div className={styles.emptyState}>
           <Music size={48} className={styles.emptyStateIcon} />
-          <p>No audio files found</p>
+          <p>{currentFolder ? 'This folder is empty' : 'No audio files found'}</p>
+          {can(user, ACTIONS.UPLOAD) && (
+            <Link href={uploadHref} className={styles.emptyStateLink}>
+              {currentFolder ? 'Upload a file here' : 'Upload your first file'}
+            </Link>
+          )}
         </div>
       )}
     </div>
   );
 };
 
-export default AudioFilesPage;
\ No newline at end of file
+/**
+ * useSearchParams needs a Suspense boundary so the page can still be prerendered.
+ */
+const AudioPage = () => (
+  <Suspense fallback={<p className={styles.loadingState}>Loading audio files...</p>}>
+    <AudioFilesPage />
+  </Suspense>
+);
+
+export default AudioPage;
\ No newline at end of file
@@ -2,21 +2,16 @@
 
 import { useState } from "react";
 import { useRouter } from "next/navigation";
+import { useAuth } from "@/context/AuthContext";
 
 export default function LoginPage() {
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
+  const [rememberMe, setRememberMe] = useState(false);
   const [error, setError] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const router = useRouter();
-
-
-  //
-  // const SERVER_URL = "http://localhost:8000";
-
-  //This config is for AWS ECS service.
-  const SERVER_URL = process.env.REACT_APP_BACKEND_URL;
-
+  const { login } = useAuth();
 
   /**
    * Handles the login process by validating inputs, sending a request to the server,
@@ -26,7 +21,8 @@ export default function LoginPage() {
    * - Clears any previous error messages.
    * - Validates that both username and password are provided.
    * - Sends the username and password to the FastAPI backend for authentication using OAuth2 password flow.
-   * - If successful, stores the authentication token and username in sessionStorage and emits a custom 'login' event.
+   * - If successful, `login` from the auth context stores the authentication token and username (in localStorage
+   *   when "Remember me" is checked, sessionStorage otherwise) and loads the user into the context.
    * - Redirects the user to the home page upon successful login.
    * - Displays appropriate error messages based on the response from the server, or handles network errors.
    * 
@@ -45,48 +41,23 @@ export default function LoginPage() {
     setIsLoading(true);
 
     try {
-      // Create form data for FastAPI's OAuth2 password flow
-      const formData = new URLSearchParams();
-      formData.append('username', username);
-      formData.append('password', password);
-
-      // Call the FastAPI login endpoint
-      const response = await fetch(`${SERVER_URL}/login`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: formData,
-      });
-
-      if (response.ok) {
-        const data = await response.json();
+      // Call the FastAPI login endpoint (OAuth2 password flow) and store the session,
+      // "Remember me" keeps it across tabs and browser restarts
+      await login(username, password, { remember: rememberMe });
 
-        // Store token in sessionStorage (or localStorage for persistence)
-        sessionStorage.setItem("token", data.access_token);
-        sessionStorage.setItem("isAuthenticated", "true");
-        sessionStorage.setItem("username", username);
+      console.log("Login successful");
 
-        // Emit the event for layout.js to listen
-        const event = new Event('login');
-        window.dispatchEvent(event);
-
-        console.log("Login successful, token stored:", data.access_token);
-
-        // Redirect to home page
-        router.push("/");
+      // Redirect to home page
+      router.push("/");
+    } catch (err) {
+      // Handle various error responses
+      if (err.status === 401) {
+        setError("Invalid username or password.");
+      } else if (err.kind === 'http') {
+        setError(err.detail || "Login failed. Please try again.");
       } else {
-        // Handle various error responses
-        const errorData = await response.json().catch(() => ({}));
-
-        if (response.status === 401) {
-          setError("Invalid username or password.");
-        } else {
-          setError(errorData.detail || "Login failed. Please try again.");
-        }
+        setError("Network error. Please check your connection and try again.");
       }
-    } catch (err) {
-      setError("Network error. Please check your connection and try again.");
       console.error("Login error:", err);
     } finally {
       setIsLoading(false);
@@ -159,6 +130,20 @@ export default function LoginPage() {
           border-color: #4285f4;
         }
         
+        .remember-me {
+          display: flex;
+          flex-direction: row;
+          align-items: center;
+          gap: 8px;
+          cursor: pointer;
+        }
+        
+        .remember-me input {
+          padding: 0;
+          width: 16px;
+          height: 16px;
+        }
+        
         .error-message {
           color: #e53935;
           margin: 0;
@@ -229,6 +214,15 @@ export default function LoginPage() {
               disabled={isLoading}
             />
           </div>
+          <label className="remember-me">
+            <input
+              type="checkbox"
+              checked={rememberMe}
+              onChange={(e) => setRememberMe(e.target.checked)}
+              disabled={isLoading}
+            />
+            Remember me
+          </label>
           {error && <p className="error-message">{error}</p>}
           <button
             type="button"
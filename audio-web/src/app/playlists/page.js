@@ -0,0 +1,318 @@
+"use client";
+
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { ListMusic, Play, Pencil, Trash, GripVertical, X } from 'lucide-react';
+import { usePlaylists } from '@/hooks/usePlaylists';
+import { usePlayer } from '@/context/PlayerContext';
+import styles from './playlists.module.css';
+
+const PlaylistsPage = () => {
+  const {
+    playlists,
+    loading,
+    error,
+    reload,
+    create,
+    rename,
+    remove,
+    removeTrack,
+    moveTrack,
+  } = usePlaylists();
+  const { playTrack, currentTrack } = usePlayer();
+  const [newName, setNewName] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  // { id, name } of the playlist being renamed
+  const [editing, setEditing] = useState(null);
+  // { playlistId, index } of the track being dragged, and the index it is over
+  const [dragging, setDragging] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  /**
+   * Creates a playlist from the name in the form and opens it.
+   *
+   * @param {Event} e - The form submit event.
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim() || creating) return;
+
+    try {
+      setCreating(true);
+      const playlist = await create(newName);
+      setNewName('');
+      setExpandedId(playlist.id);
+    } catch (err) {
+      console.error('Error creating playlist:', err);
+      alert(`Failed to create playlist: ${err.message}`);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  /**
+   * Saves the name typed in the rename field.
+   *
+   * @param {Event} e - The form submit event.
+   */
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!editing || !editing.name.trim()) return;
+
+    try {
+      await rename(editing.id, editing.name);
+      setEditing(null);
+    } catch (err) {
+      console.error('Error renaming playlist:', err);
+      alert(`Failed to rename playlist: ${err.message}`);
+    }
+  };
+
+  /**
+   * Deletes a playlist after asking for confirmation. The audio files stay in the library.
+   *
+   * @param {Object} playlist - The playlist to delete.
+   */
+  const handleDelete = async (playlist) => {
+    if (!confirm(`Delete the playlist "${playlist.name}"? The audio files are not deleted.`)) return;
+
+    try {
+      await remove(playlist.id);
+    } catch (err) {
+      console.error('Error deleting playlist:', err);
+      alert(`Failed to delete playlist: ${err.message}`);
+    }
+  };
+
+  /**
+   * Plays a playlist in the player bar, from the given track onwards.
+   *
+   * @param {Object} playlist - The playlist to play.
+   * @param {number} index - Position of the track to start with.
+   */
+  const handlePlay = (playlist, index = 0) => {
+    const tracks = playlist.tracks || [];
+    if (tracks.length === 0) return;
+    playTrack(tracks[index], tracks);
+  };
+
+  /**
+   * Runs a track change and reports failures; the hook has already restored the saved order.
+   *
+   * @param {Promise} change - The pending change.
+   * @param {string} action - What was changed, for the error message.
+   */
+  const reportFailure = async (change, action) => {
+    try {
+      await change;
+    } catch (err) {
+      console.error(`Error trying to ${action}:`, err);
+      alert(`Failed to ${action}: ${err.message}`);
+    }
+  };
+
+  /**
+   * Drops the dragged track at the position it is over.
+   *
+   * @param {string} playlistId - The playlist the track was dropped in.
+   */
+  const handleDrop = (playlistId) => {
+    if (dragging && dragging.playlistId === playlistId && dropIndex !== null) {
+      reportFailure(moveTrack(playlistId, dragging.index, dropIndex), 'reorder tracks');
+    }
+    setDragging(null);
+    setDropIndex(null);
+  };
+
+  /**
+   * Lets keyboard users reorder tracks with Alt+Arrow Up and Alt+Arrow Down.
+   *
+   * @param {KeyboardEvent} e - The keydown event of a track row.
+   * @param {Object} playlist - The playlist of the track.
+   * @param {number} index - Position of the track.
+   */
+  const handleTrackKeyDown = (e, playlist, index) => {
+    if (!e.altKey) return;
+    const target = e.key === 'ArrowUp' ? index - 1 : e.key === 'ArrowDown' ? index + 1 : null;
+    if (target === null || target < 0 || target >= playlist.tracks.length) return;
+
+    e.preventDefault();
+    reportFailure(moveTrack(playlist.id, index, target), 'reorder tracks');
+  };
+
+  if (loading && playlists.length === 0) {
+    return <p className={styles.loadingState}>Loading playlists...</p>;
+  }
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <h1 className={styles.title}>Playlists</h1>
+        <form onSubmit={handleCreate} className={styles.createForm}>
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New playlist name"
+            className={styles.input}
+            aria-label="New playlist name"
+            maxLength={100}
+          />
+          <button type="submit" className={styles.addButton} disabled={!newName.trim() || creating}>
+            {creating ? 'Creating...' : 'Create'}
+          </button>
+        </form>
+      </div>
+
+      {error && (
+        <div className={styles.errorAlert} role="alert">
+          <p>Failed to load playlists: {error.message}</p>
+          <button onClick={reload} className={styles.retryButton}>Retry</button>
+        </div>
+      )}
+
+      {!error && playlists.length === 0 && (
+        <div className={styles.emptyState}>
+          <ListMusic size={48} className={styles.emptyStateIcon} />
+          <p>You have no playlists yet.</p>
+          <p>
+            Create one above, then add tracks from the <Link href="/audio">audio library</Link>.
+          </p>
+        </div>
+      )}
+
+      <ul className={styles.playlistList}>
+        {playlists.map((playlist) => {
+          const tracks = playlist.tracks || [];
+          const isExpanded = expandedId === playlist.id;
+
+          return (
+            <li key={playlist.id} className={styles.playlistCard}>
+              <div className={styles.playlistHeader}>
+                {editing?.id === playlist.id ? (
+                  <form onSubmit={handleRename} className={styles.renameForm}>
+                    <input
+                      type="text"
+                      value={editing.name}
+                      onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                      onKeyDown={(e) => e.key === 'Escape' && setEditing(null)}
+                      className={styles.input}
+                      aria-label="Playlist name"
+                      maxLength={100}
+                      autoFocus
+                    />
+                    <button type="submit" className={styles.textButton}>Save</button>
+                    <button type="button" onClick={() => setEditing(null)} className={styles.textButton}>
+                      Cancel
+                    </button>
+                  </form>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => setExpandedId(isExpanded ? null : playlist.id)}
+                    className={styles.playlistName}
+                    aria-expanded={isExpanded}
+                  >
+                    <span>{playlist.name}</span>
+                    <span className={styles.trackCount}>
+                      {tracks.length} {tracks.length === 1 ? 'track' : 'tracks'}
+                    </span>
+                  </button>
+                )}
+
+                <div className={styles.playlistActions}>
+                  <button
+                    onClick={() => handlePlay(playlist)}
+                    className={styles.iconButton}
+                    disabled={tracks.length === 0}
+                    title="Play all"
+                    aria-label={`Play ${playlist.name}`}
+                  >
+                    <Play size={18} />
+                  </button>
+                  <button
+                    onClick={() => setEditing({ id: playlist.id, name: playlist.name })}
+                    className={styles.iconButton}
+                    title="Rename"
+                    aria-label={`Rename ${playlist.name}`}
+                  >
+                    <Pencil size={18} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(playlist)}
+                    className={`${styles.iconButton} ${styles.deleteButton}`}
+                    title="Delete"
+                    aria-label={`Delete ${playlist.name}`}
+                  >
+                    <Trash size={18} />
+                  </button>
+                </div>
+              </div>
+
+              {isExpanded && (
+                tracks.length === 0 ? (
+                  <p className={styles.emptyPlaylist}>
+                    No tracks yet. Use &quot;Add to playlist&quot; in the <Link href="/audio">audio library</Link>.
+                  </p>
+                ) : (
+                  <ol
+                    className={styles.trackList}
+                    onDragOver={(e) => e.preventDefault()}
+                    onDrop={() => handleDrop(playlist.id)}
+                  >
+                    {tracks.map((track, index) => (
+                      <li
+                        key={`${track.fileName}-${index}`}
+                        draggable
+                        tabIndex={0}
+                        onDragStart={() => setDragging({ playlistId: playlist.id, index })}
+                        onDragEnter={() => setDropIndex(index)}
+                        onDragEnd={() => {
+                          setDragging(null);
+                          setDropIndex(null);
+                        }}
+                        onKeyDown={(e) => handleTrackKeyDown(e, playlist, index)}
+                        className={[
+                          styles.trackRow,
+                          dragging?.playlistId === playlist.id && dragging.index === index ? styles.dragging : '',
+                          dragging?.playlistId === playlist.id && dropIndex === index ? styles.dropTarget : '',
+                          currentTrack?.fileName === track.fileName ? styles.playing : '',
+                        ].join(' ')}
+                        aria-label={`${track.title}, position ${index + 1}. Alt+Arrow keys to move.`}
+                      >
+                        <GripVertical size={16} className={styles.grip} />
+                        <span className={styles.trackIndex}>{index + 1}</span>
+                        <div className={styles.trackInfo}>
+                          <span className={styles.trackTitle}>{track.title}</span>
+                          <span className={styles.trackArtist}>{track.artist}</span>
+                        </div>
+                        <span className={styles.trackDuration}>{track.duration}</span>
+                        <button
+                          onClick={() => handlePlay(playlist, index)}
+                          className={styles.iconButton}
+                          aria-label={`Play ${track.title}`}
+                        >
+                          <Play size={16} />
+                        </button>
+                        <button
+                          onClick={() => reportFailure(removeTrack(playlist.id, index), 'remove track')}
+                          className={styles.iconButton}
+                          aria-label={`Remove ${track.title} from ${playlist.name}`}
+                        >
+                          <X size={16} />
+                        </button>
+                      </li>
+                    ))}
+                  </ol>
+                )
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default PlaylistsPage;
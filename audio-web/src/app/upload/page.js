@@ -1,90 +1,149 @@
 // pages/upload.js
 "use client"
-import { useState } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { useRouter } from 'next/navigation';
 import Head from 'next/head';
-import { getCurrentUser, authFetch } from '../../utils/auth';
+import { useAuth } from '@/context/AuthContext';
+import { listFolders } from '../../utils/api';
+import { AUDIO_CATEGORIES } from '@/utils/audioCategories';
+import { can, ACTIONS } from '@/utils/permissions';
+import { expandFolders, getHomeFolder, normalizeFolderPath } from '@/utils/folders';
+import { useUploadQueue, isUploadable, UPLOAD_STATUS } from '@/hooks/useUploadQueue';
+import { takePendingUploads, formatSize } from '@/utils/uploads';
+import { describeRules, getAcceptedExtensions } from '@/utils/uploadValidation';
+import {
+  TRANSCODE_FORMATS,
+  TRANSCODE_BITRATES,
+  DEFAULT_BITRATE,
+  estimateTranscodedSize,
+} from '@/utils/transcode';
+import UploadQueueItem from '@/components/UploadQueueItem';
+import DropZone from '@/components/DropZone';
 import styles from './upload.module.css';
+import queueStyles from '../../styles/uploadQueue.module.css';
 
-
-// const SERVER_URL = 'http://localhost:8000';
-
-//This config is for AWS ECS service.
-const SERVER_URL = process.env.REACT_APP_BACKEND_URL;
-
-// Audio categories enum
-const AUDIO_CATEGORIES = {
-  CLASSICAL: 'Classical',
-  POP: 'Pop',
-  JAZZ: 'Jazz',
-  SOUL: 'Soul',
-  EDM: 'EDM',
-  OTHERS: 'Others'
-};
+// Choices for the number of files sent at the same time
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4, 5];
+const DEFAULT_CONCURRENCY = 2;
 
 export default function UploadPage() {
   const router = useRouter();
-  const [file, setFile] = useState(null);
-  const [isUploading, setIsUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
-  const [message, setMessage] = useState('');
+  const { user } = useAuth();
   const [error, setError] = useState('');
+  // Category and description given to files when they are added
   const [audioDescription, setAudioDescription] = useState('');
   const [audioCategory, setAudioCategory] = useState('');
-  const [audioLength, setAudioLength] = useState(null);
+  const [folder, setFolder] = useState('');
+  const [folderOptions, setFolderOptions] = useState([]);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  // Format lossless files are converted to before they are sent, '' to send them as they are
+  const [convertFormat, setConvertFormat] = useState('');
+  const [convertBitrate, setConvertBitrate] = useState(DEFAULT_BITRATE);
+  const transcode = useMemo(
+    () => (convertFormat ? { format: convertFormat, bitrate: convertBitrate } : null),
+    [convertFormat, convertBitrate],
+  );
+
+  const handleUnauthorized = useCallback(() => router.push('/login'), [router]);
+  const {
+    items,
+    running,
+    counts,
+    addFiles,
+    updateItem,
+    removeItem,
+    cancelItem,
+    retryItem,
+    retryFailed,
+    clearFinished,
+    start,
+    stop,
+  } = useUploadQueue({
+    folder,
+    concurrency,
+    transcode,
+    onUnauthorized: handleUnauthorized,
+  });
 
   /**
-   * Handles the file selection event and processes the selected audio file.
-   * 
-   * This function is triggered when a user selects a file. It checks whether the selected file is an audio file,
-   * retrieves its duration, and updates the state accordingly. If the file is not an audio file, an error message is displayed.
-   * 
-   * @param {Object} e - The event object representing the file input change event.
-   * @note This function sets the selected audio file, its duration, and handles errors related to file selection or metadata loading.
+   * Loads the folders the user may upload to: their home folder and everything below it,
+   * or every folder for moderators and admins. The audio library links here with `?folder=`
+   * to preselect the folder being browsed.
    */
-  const handleFileChange = (e) => {
-    const selectedFile = e.target.files[0];
+  useEffect(() => {
+    if (!user) return;
 
-    if (selectedFile) {
-      // Check if the file is an audio file
-      if (!selectedFile.type.startsWith('audio/')) {
-        setError('Please select an audio file');
-        return;
-      }
+    const homeFolder = getHomeFolder(user);
+    const requested = normalizeFolderPath(new URLSearchParams(window.location.search).get('folder'));
+    let cancelled = false;
 
-      setFile(selectedFile);
-      setError('');
+    const loadFolders = async () => {
+      const folders = await listFolders().catch((err) => {
+        console.warn('Could not load folders:', err.message);
+        return [];
+      });
+      if (cancelled) return;
 
-      // Get audio duration
-      const audioElement = new Audio();
-      const objectUrl = URL.createObjectURL(selectedFile);
+      const options = expandFolders([homeFolder, requested, ...folders])
+        .filter(option => can(user, ACTIONS.WRITE_FOLDER, option));
+      setFolderOptions(options);
+      setFolder(current => current || (options.includes(requested) ? requested : homeFolder));
+    };
 
-      audioElement.addEventListener('loadedmetadata', () => {
-        // Get duration in seconds and round to nearest integer
-        const durationInSeconds = Math.round(audioElement.duration);
-        setAudioLength(durationInSeconds);
+    loadFolders();
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
 
-        // Free up memory
-        URL.revokeObjectURL(objectUrl);
-      });
+  /**
+   * Adds picked or dropped files to the queue.
+   *
+   * Files from a folder keep their subfolder below the destination folder. Files without the
+   * extension of an accepted format are skipped and reported. Tags, duration and format of each
+   * file are read and checked by the queue.
+   *
+   * @param {FileList|Array<File|{file: File, subfolder: string}>} files - The files
+   */
+  const queueFiles = useCallback((files) => {
+    const { added, skipped } = addFiles(files, {
+      category: audioCategory,
+      description: audioDescription,
+    });
+
+    if (skipped > 0) {
+      setError(`${skipped} file${skipped === 1 ? ' was' : 's were'} skipped because ${skipped === 1 ? 'it is' : 'they are'} not in an accepted audio format`);
+    } else if (added > 0) {
+      setError('');
+    }
+  }, [addFiles, audioCategory, audioDescription]);
 
-      audioElement.addEventListener('error', () => {
-        setError('Could not read audio file length');
-        URL.revokeObjectURL(objectUrl);
-      });
+  // Files dropped on the audio library are queued when the page opens. They are handed over a
+  // single time, so running again when queueFiles changes finds nothing left to add.
+  useEffect(() => {
+    const pending = takePendingUploads();
+    if (pending.length > 0) queueFiles(pending);
+  }, [queueFiles]);
 
-      audioElement.src = objectUrl;
-    } else {
-      setAudioLength(null);
-    }
+  /**
+   * Handles the file selection event and adds the selected audio files to the queue.
+   *
+   * Both the file picker and the folder picker end up here.
+   *
+   * @param {Object} e - The event object representing the file input change event.
+   */
+  const handleFileChange = (e) => {
+    queueFiles(e.target.files);
+    // Allow picking the same files again
+    e.target.value = '';
   };
 
   /**
    * Handles changes to the audio description input field.
-   * 
+   *
    * This function is triggered when the user types into the description field, updating the state with the current value.
-   * It ensures that the audio description state is kept up-to-date with the input provided by the user.
-   * 
+   * The description is given to the files added afterwards; each file can still be edited in the queue.
+   *
    * @param {Object} e - The event object representing the input change event.
    * @note This function updates the `audioDescription` state with the input value from the user.
    */
@@ -94,10 +153,11 @@ export default function UploadPage() {
 
   /**
    * Handles changes to the audio category input field.
-   * 
-   * This function is triggered when the user selects a new category from the category dropdown or input field,
-   * updating the state with the selected category value.
-   * 
+   *
+   * This function is triggered when the user selects a new category from the category dropdown,
+   * updating the state with the selected category value. The category is given to the files added
+   * afterwards whose genre did not match a category.
+   *
    * @param {Object} e - The event object representing the input change event.
    * @note This function updates the `audioCategory` state with the selected category value from the user.
    */
@@ -106,124 +166,102 @@ export default function UploadPage() {
   };
 
   /**
-   * Handles the form submission for uploading an audio file.
-   * 
-   * This function is triggered when the user submits the form. It validates the required fields, such as file,
-   * audio category, and user authentication. If the validation passes, it initiates the upload process using an 
-   * XMLHttpRequest to send the file and metadata to the server. The upload progress is tracked, and success or 
-   * error messages are displayed based on the response.
-   * 
+   * Gives the selected category and description to every file still waiting in the queue.
+   */
+  const applyToQueue = () => {
+    items
+      .filter(item => item.status === UPLOAD_STATUS.READING || item.status === UPLOAD_STATUS.READY)
+      .forEach(item => updateItem(item.id, {
+        ...(audioCategory ? { category: audioCategory } : {}),
+        ...(audioDescription ? { description: audioDescription } : {}),
+      }));
+  };
+
+  // Files the upload button sends, cancelled ones are sent again
+  const waitingCount = counts[UPLOAD_STATUS.READY] + counts[UPLOAD_STATUS.CANCELLED];
+
+  /**
+   * Handles the form submission: starts sending the queued files.
+   *
+   * Every waiting file needs a category, the files are then sent `concurrency` at a time by the
+   * queue, which reports the progress and status of each file.
+   *
    * @param {Object} e - The event object representing the form submit event.
-   * @note This function handles file uploads, progress tracking, and authentication checks.
    */
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
 
-    if (!file) {
-      setError('Please select a file to upload');
+    if (waitingCount + counts[UPLOAD_STATUS.READING] === 0) {
+      setError('Please select files to upload');
       return;
     }
 
-    if (!audioCategory) {
-      setError('Please select an audio category');
+    const missingCategory = items.filter(item => item.status === UPLOAD_STATUS.READY && !item.category).length;
+    if (missingCategory > 0) {
+      setError(`Please select an audio category for ${missingCategory} file${missingCategory === 1 ? '' : 's'}`);
       return;
     }
 
-    setIsUploading(true);
-    setUploadProgress(0);
-    setMessage('');
-    setError('');
-
-    try {
-      // Create form data object
-      const formData = new FormData();
-      formData.append('file', file);
-      formData.append('audio_description', audioDescription);
-      formData.append('audio_category', audioCategory);
-      formData.append("audio_length", audioLength);
-
-      // Get current user for authentication
-      const currentUser = await getCurrentUser();
-      if (!currentUser) {
-        router.push('/login');
-        return;
-      }
-
-      // Custom fetch with upload progress. Also possible to use axios library to do this.
-      const xhr = new XMLHttpRequest();
-
-      xhr.upload.addEventListener('progress', (event) => {
-        if (event.lengthComputable) {
-          const percentComplete = Math.round((event.loaded / event.total) * 100);
-          setUploadProgress(percentComplete);
-        }
-      });
-
-      xhr.addEventListener('load', () => {
-        if (xhr.status >= 200 && xhr.status < 300) {
-          const response = JSON.parse(xhr.responseText);
-          setMessage(`File uploaded successfully: ${response.filename}`);
-          setFile(null);
-          setAudioDescription('');
-          setAudioCategory('');
-          setAudioLength(null);
-          setUploadProgress(100);
-        } else {
-          let errorMsg = 'Upload failed';
-          try {
-            const errorData = JSON.parse(xhr.responseText);
-            errorMsg = errorData.detail || errorMsg;
-          } catch (e) {
-            // If response is not JSON
-          }
-          setError(errorMsg);
-        }
-        setIsUploading(false);
-      });
-
-      xhr.addEventListener('error', () => {
-        setError('Network error occurred while uploading');
-        setIsUploading(false);
-      });
-
-      xhr.addEventListener('abort', () => {
-        setError('Upload was aborted');
-        setIsUploading(false);
-      });
-
-      // Open and send the request
-      xhr.open('POST', `${SERVER_URL}/upload`);
-
-      // Set auth token
-      const token = sessionStorage.getItem('token');
-      if (token) {
-        xhr.setRequestHeader('Authorization', `Bearer ${token}`);
-      }
+    const duplicates = items.filter(item => item.status === UPLOAD_STATUS.READY && item.duplicate && !item.allowDuplicate).length;
+    if (duplicates > 0) {
+      setError(`${duplicates} file${duplicates === 1 ? ' has' : 's have'} the same name as another file in the destination folder. Remove ${duplicates === 1 ? 'it' : 'them'} or choose "Upload anyway".`);
+      return;
+    }
 
-      xhr.send(formData);
+    const sameContent = items.filter(item => item.status === UPLOAD_STATUS.READY && item.hashMatch && !item.hashAction).length;
+    if (sameContent > 0) {
+      setError(`${sameContent} file${sameContent === 1 ? ' is' : 's are'} already in the library. Choose to skip, replace or keep both for ${sameContent === 1 ? 'it' : 'each'}.`);
+      return;
+    }
 
-    } catch (err) {
-      console.error('Upload error:', err);
-      setError(`Upload failed: ${err.message}`);
-      setIsUploading(false);
+    // Current user from the auth context
+    if (!user) {
+      router.push('/login');
+      return;
     }
+
+    setError('');
+    start();
   };
 
   /**
-   * Cancels the ongoing file upload process.
-   * 
-   * This function is used to stop the upload process manually. It sets the uploading state to false, indicating
-   * that the upload is no longer in progress, and displays an error message to inform the user that the upload
-   * was cancelled.
-   * 
-   * @note This function is typically triggered when the user decides to abort the file upload.
+   * Cancels the ongoing uploads.
+   *
+   * Stops the queue and aborts the requests in progress. Cancelled files stay in the queue:
+   * uploading again restarts them, and large files sent in chunks resume from the last chunk
+   * the server received.
    */
   const cancelUpload = () => {
-    // Logic to cancel upload would go here
-    setIsUploading(false);
+    stop();
     setError('Upload cancelled');
   };
 
+  // Progress of the whole batch, weighted by file size; waiting files count as not started
+  const batch = items.filter(item => isUploadable(item) || item.status === UPLOAD_STATUS.CONVERTING
+    || item.status === UPLOAD_STATUS.UPLOADING || item.status === UPLOAD_STATUS.DONE
+    || item.status === UPLOAD_STATUS.FAILED);
+  const batchSize = batch.reduce((sum, item) => sum + item.file.size, 0);
+  const batchProgress = batchSize > 0
+    ? Math.round(batch.reduce((sum, item) => {
+      if (item.status === UPLOAD_STATUS.READY || item.status === UPLOAD_STATUS.CONVERTING) return sum;
+      return sum + item.file.size * (item.status === UPLOAD_STATUS.UPLOADING ? item.progress : 100);
+    }, 0) / batchSize)
+    : 0;
+  const uploadableCount = items.filter(isUploadable).length;
+  const sendingCount = counts[UPLOAD_STATUS.CONVERTING] + counts[UPLOAD_STATUS.UPLOADING];
+  // Files compared with only part of the library
+  const hashIncomplete = items.some(item => item.status === UPLOAD_STATUS.READY && item.hashIncomplete);
+  const finished = !running && sendingCount === 0
+    && (counts[UPLOAD_STATUS.DONE] > 0 || counts[UPLOAD_STATUS.FAILED] > 0);
+
+  // Space saved by converting the waiting files, from their durations and the chosen bitrate
+  const conversions = items
+    .filter(item => item.status === UPLOAD_STATUS.READY)
+    .map(item => ({ item, converted: estimateTranscodedSize(item, transcode) }))
+    .filter(({ converted }) => converted);
+  const originalSize = conversions.reduce((sum, { item }) => sum + item.file.size, 0);
+  const convertedSize = conversions.reduce((sum, { converted }) => sum + converted.size, 0);
+
   return (
     <>
       <Head>
@@ -233,47 +271,139 @@ export default function UploadPage() {
       <div className={styles.container}>
         <h1 className={styles.title}>File Upload</h1>
 
-        {message && (
-          <div className={styles.successMessage}>
-            {message}
-          </div>
-        )}
-
         {error && (
           <div className={styles.errorMessage}>
             {error}
           </div>
         )}
 
+        {finished && (
+          <div className={counts[UPLOAD_STATUS.FAILED] > 0 ? styles.errorMessage : styles.successMessage}>
+            {counts[UPLOAD_STATUS.DONE]} file{counts[UPLOAD_STATUS.DONE] === 1 ? '' : 's'} uploaded
+            {counts[UPLOAD_STATUS.FAILED] > 0 && `, ${counts[UPLOAD_STATUS.FAILED]} failed`}.
+            {counts[UPLOAD_STATUS.FAILED] > 0 && (
+              <button type="button" onClick={retryFailed} className={styles.summaryButton}>
+                Retry failed files
+              </button>
+            )}
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className={styles.uploadForm}>
           <div className={styles.formGroup}>
-            <label htmlFor="file" className={styles.fileLabel}>
-              {file ? file.name : 'Choose a file'}
-              <input
-                type="file"
-                id="file"
-                onChange={handleFileChange}
-                className={styles.fileInput}
-                disabled={isUploading}
-                accept="audio/*"
-              />
-            </label>
-
-            {file && (
-              <div className={styles.fileInfo}>
-                <span className={styles.fileName}>{file.name}</span>
-                <span className={styles.fileSize}>
-                  {(file.size / 1024).toFixed(2)} KB
-                </span>
-                {audioLength !== null && (
-                  <span className={styles.fileLength}>
-                    Length: {Math.floor(audioLength / 60)}:{String(audioLength % 60).padStart(2, '0')}
-                  </span>
-                )}
+            <DropZone onDrop={queueFiles} hint={`Accepted: ${describeRules()}`}>
+              <div className={styles.pickers}>
+                <label htmlFor="file" className={styles.fileLabel}>
+                  Choose files
+                  <input
+                    type="file"
+                    id="file"
+                    onChange={handleFileChange}
+                    className={styles.fileInput}
+                    accept={getAcceptedExtensions()}
+                    multiple
+                  />
+                </label>
+                <label htmlFor="directory" className={styles.fileLabel}>
+                  Choose a folder
+                  <input
+                    type="file"
+                    id="directory"
+                    onChange={handleFileChange}
+                    className={styles.fileInput}
+                    // Not in the React types, but supported by every current browser
+                    webkitdirectory=""
+                    multiple
+                  />
+                </label>
               </div>
-            )}
+            </DropZone>
           </div>
 
+          <div className={styles.formRow}>
+            <div className={styles.formGroup}>
+              <label htmlFor="folder">Destination Folder</label>
+              <select
+                id="folder"
+                value={folder}
+                onChange={(e) => setFolder(e.target.value)}
+                className={styles.select}
+                disabled={running || folderOptions.length === 0}
+              >
+                {folderOptions.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="concurrency">Simultaneous Uploads</label>
+              <select
+                id="concurrency"
+                value={concurrency}
+                onChange={(e) => setConcurrency(Number(e.target.value))}
+                className={styles.select}
+              >
+                {CONCURRENCY_OPTIONS.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className={styles.formRow}>
+            <div className={styles.formGroup}>
+              <label htmlFor="convertFormat">Convert Before Upload</label>
+              <select
+                id="convertFormat"
+                value={convertFormat}
+                onChange={(e) => setConvertFormat(e.target.value)}
+                className={styles.select}
+                disabled={running}
+              >
+                <option value="">No, upload the original files</option>
+                {Object.entries(TRANSCODE_FORMATS).map(([format, { label }]) => (
+                  <option key={format} value={format}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <p className={styles.note}>
+                Only lossless files (WAV, AIFF, FLAC) are converted, compressed files are sent as they are
+                unless they are trimmed.
+              </p>
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="convertBitrate">Bitrate</label>
+              <select
+                id="convertBitrate"
+                value={convertBitrate}
+                onChange={(e) => setConvertBitrate(Number(e.target.value))}
+                className={styles.select}
+                disabled={running || !convertFormat}
+              >
+                {TRANSCODE_BITRATES.map((bitrate) => (
+                  <option key={bitrate} value={bitrate}>
+                    {bitrate} kbit/s
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {conversions.length > 0 && (
+            <p className={styles.note}>
+              {conversions.length} file{conversions.length === 1 ? '' : 's'} to convert:
+              {' '}{formatSize(originalSize)} → {conversions.some(({ converted }) => converted.estimated) ? '~' : ''}{formatSize(convertedSize)}
+              {originalSize > convertedSize && ` (${Math.round((1 - convertedSize / originalSize) * 100)}% smaller)`}
+            </p>
+          )}
+
           <div className={styles.formGroup}>
             <label htmlFor="category">Audio Category</label>
             <select
@@ -281,10 +411,8 @@ export default function UploadPage() {
               value={audioCategory}
               onChange={handleCategoryChange}
               className={styles.select}
-              disabled={isUploading}
-              required
             >
-              <option value="" disabled>Select a category</option>
+              <option value="">From the genre of each file</option>
               {Object.values(AUDIO_CATEGORIES).map((category) => (
                 <option key={category} value={category}>
                   {category}
@@ -300,20 +428,62 @@ export default function UploadPage() {
               value={audioDescription}
               onChange={handleDescriptionChange}
               className={styles.textarea}
-              disabled={isUploading}
               rows={3}
-              placeholder="Enter a brief description of this file..."
+              placeholder="Enter a brief description of these files..."
             />
+            {items.length > 0 && (
+              <button type="button" onClick={applyToQueue} className={styles.textButton}>
+                Apply the category and description to all waiting files
+              </button>
+            )}
           </div>
 
-          {isUploading && (
+          {hashIncomplete && (
+            <p className={styles.note}>
+              The library has more files than could be compared, so some files already in it may
+              not be recognised as the same audio.
+            </p>
+          )}
+
+          {items.length > 0 && (
+            <div className={queueStyles.queueWrapper}>
+              <table className={queueStyles.queue}>
+                <thead>
+                  <tr>
+                    <th aria-label="Details" />
+                    <th>File</th>
+                    <th>Title</th>
+                    <th>Artist</th>
+                    <th>Category</th>
+                    <th>Status</th>
+                    <th aria-label="Actions" />
+                  </tr>
+                </thead>
+                {items.map((item) => (
+                  <UploadQueueItem
+                    key={item.id}
+                    item={item}
+                    onChange={(changes) => updateItem(item.id, changes)}
+                    onRemove={() => removeItem(item.id)}
+                    onCancel={() => cancelItem(item.id)}
+                    onRetry={() => retryItem(item.id)}
+                    onError={setError}
+                    canReplace={!!item.hashMatch && can(user, ACTIONS.DELETE, item.hashMatch)}
+                    convertedSize={estimateTranscodedSize(item, transcode)}
+                  />
+                ))}
+              </table>
+            </div>
+          )}
+
+          {running && (
             <div className={styles.progressContainer}>
               <div
                 className={styles.progressBar}
-                style={{ width: `${uploadProgress}%` }}
+                style={{ width: `${batchProgress}%` }}
               />
               <span className={styles.progressText}>
-                {uploadProgress}%
+                {batchProgress}%
               </span>
               <button
                 type="button"
@@ -330,20 +500,27 @@ export default function UploadPage() {
               type="button"
               onClick={() => router.back()}
               className={styles.backButton}
-              disabled={isUploading}
+              disabled={running}
             >
               Back
             </button>
+            {counts[UPLOAD_STATUS.DONE] > 0 && (
+              <button type="button" onClick={clearFinished} className={styles.backButton}>
+                Clear uploaded files
+              </button>
+            )}
             <button
               type="submit"
               className={styles.uploadButton}
-              disabled={!file || isUploading}
+              disabled={running || waitingCount === 0}
             >
-              {isUploading ? 'Uploading...' : 'Upload File'}
+              {running
+                ? `Uploading (${sendingCount + uploadableCount} left)...`
+                : `Upload ${waitingCount > 0 ? `${waitingCount} ` : ''}File${waitingCount === 1 ? '' : 's'}`}
             </button>
           </div>
         </form>
       </div>
     </>
   );
-}
\ No newline at end of file
+}
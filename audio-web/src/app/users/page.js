@@ -3,18 +3,17 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
 import Head from 'next/head';
-import { getCurrentUser, authFetch, logout } from '../../utils/auth';
+import { useAuth } from '@/context/AuthContext';
+import { ROLES, ROLE_LABELS, normalizeRole } from '@/utils/roles';
+import { can, ACTIONS } from '@/utils/permissions';
+import { listUsers, createUser, updateUser, deleteUser } from '../../utils/api';
 import styles from './users.module.css';
 
-// const SERVER_URL = "http://localhost:8000";
-//This config is for AWS ECS service.
-const SERVER_URL = process.env.REACT_APP_BACKEND_URL;
-
 export default function UserManagement() {
   const router = useRouter();
+  const { user: currentUser, refreshUser, logout } = useAuth();
   const [users, setUsers] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
-  const [currentUser, setCurrentUser] = useState(null);
   const [error, setError] = useState(null);
 
   // Form state
@@ -28,105 +27,62 @@ export default function UserManagement() {
     username: '',
     email: '',
     fullname: '',
-    role: 'user',
+    role: ROLES.UPLOADER,
     password: '',
   });
 
 
 
   /**
-   * Checks if the current user is authenticated and has an admin role.
+   * Fetches the list of users from the server.
    * 
-   * This function first attempts to fetch the current user using `getCurrentUser`. If no user is found,
-   * it redirects to the login page. If the user is not an admin, an error message is shown, and the user is
-   * redirected to the home page. If the user is an admin, the function proceeds to fetch additional user data
-   * and update the current user state.
+   * This function makes an authenticated request to fetch the users from the server. If the request fails,
+   * it handles different error scenarios such as token expiration (401) and permission issues (403).
+   * If the request is successful, it parses the response data and updates the `users` state.
    * 
-   * @note The function also handles loading state and catches any errors during the authentication check.
+   * @note The function uses the API client's `listUsers` and handles the status codes of the `ApiError` it throws.
    * 
    * @returns {void}
    */
-  const checkAdminStatus = async () => {
+  const fetchUsers = useCallback(async () => {
+    //useCallback in React caches and reuses the function, unless the dependency changes. (which is router in this case).
     try {
-      setIsLoading(true);
-      const user = await getCurrentUser();
-
-      if (!user) {
-        // Redirect to login if not authenticated
+      const data = await listUsers();
+      setUsers(data);
+    } catch (err) {
+      // Handle different error status codes
+      if (err.status === 401) {
+        // Token expired or invalid
+        logout();
         router.push('/login');
         return;
       }
 
-      // Check if user has admin role
-      if (user.role !== 'admin') {
-        setError('Unauthorized: Admin access required');
-        alert("unauthorised");
-        // Optionally redirect to unauthorized page
-        router.push('/');
+      if (err.status === 403) {
+        setError('You do not have permission to view users');
         return;
       }
 
-      setCurrentUser(user);
-      await fetchUsers();
-    } catch (err) {
-      console.error('Authentication error:', err);
-      setError('Authentication failed. Please try again.');
-    } finally {
-      setIsLoading(false);
+      console.error('Error fetching users:', err);
+      setError('Failed to load users: ' + err.message);
     }
-  };
+  }, [router, logout]);
 
   /**
-   * Effect hook that checks the admin status whenever the router changes.
+   * Effect hook that loads the users once the page is shown.
    * 
-   * This effect triggers the `checkAdminStatus` function whenever there is a change in the `router` object.
-   * This can be useful if the admin status needs to be re-evaluated based on navigation or route changes.
-   * 
-   * @note The dependency on `router` means that this effect will run every time the route or URL changes.
+   * Only users allowed to manage users get here: RouteGuard in the layout checks the '/users' entry of utils/routes.js before
+   * rendering the page, so no role check is needed.
    */
   useEffect(() => {
-    checkAdminStatus();
-  }, [router]);
-  /**
-   * Fetches the list of users from the server.
-   * 
-   * This function makes an authenticated request to fetch the users from the server. If the request fails,
-   * it handles different error scenarios such as token expiration (401) and permission issues (403).
-   * If the request is successful, it parses the response data and updates the `users` state.
-   * 
-   * @note The function uses `authFetch` to make the authenticated request and handles various error status codes.
-   * 
-   * @returns {void}
-   */
-  const fetchUsers = useCallback(async () => {
-    //useCallback in React caches and reuses the function, unless the dependency changes. (which is router in this case).
-    try {
-      const response = await authFetch(`${SERVER_URL}/users/`);
-
-      if (!response.ok) {
-        // Handle different error status codes
-        if (response.status === 401) {
-          // Token expired or invalid
-          logout();
-          router.push('/login');
-          return;
-        }
-
-        if (response.status === 403) {
-          setError('You do not have permission to view users');
-          return;
-        }
+    const loadUsers = async () => {
+      setIsLoading(true);
+      await fetchUsers();
+      setIsLoading(false);
+    };
 
-        throw new Error(`Failed to fetch users: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      setUsers(data);
-    } catch (err) {
-      console.error('Error fetching users:', err);
-      setError('Failed to load users: ' + err.message);
-    }
-  }, [router]);
+    loadUsers();
+  }, [fetchUsers]);
 
   /**
    * Handles changes in form input fields and updates the corresponding field in the form data state.
@@ -170,7 +126,7 @@ export default function UserManagement() {
         username: user.username,
         email: user.email || '',
         fullname: user.fullname || '',
-        role: user.role,
+        role: normalizeRole(user.role), // Legacy 'user' accounts show as uploaders
         password: '', // Don't populate password for security
       });
     } else {
@@ -179,7 +135,7 @@ export default function UserManagement() {
         username: '',
         email: '',
         fullname: '',
-        role: 'user',
+        role: ROLES.UPLOADER,
         password: '',
       });
     }
@@ -221,9 +177,9 @@ export default function UserManagement() {
       setIsSubmitting(true);
 
       // Verify admin status again before performing action
-      const user = await getCurrentUser(true); // Force refresh
-      if (!user || user.role !== 'admin') {
-        setError('Your session has expired or you no longer have admin privileges');
+      const user = await refreshUser(); // Force refresh
+      if (!can(user, ACTIONS.MANAGE_USERS)) {
+        setError('Your session has expired or you no longer have permission to manage users');
         setTimeout(() => {
           logout();
           router.push('/login');
@@ -233,15 +189,7 @@ export default function UserManagement() {
 
       if (modalMode === 'delete') {
         // Delete user
-        const response = await authFetch(`${SERVER_URL}/users/${selectedUser.username}`, {
-          method: 'DELETE',
-        });
-
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(errorData.detail || `Failed to delete user: ${response.statusText}`);
-        }
-
+        await deleteUser(selectedUser.username);
         setUsers(users.filter(user => user.username !== selectedUser.username));
         closeModal();
       } else if (modalMode === 'edit') {
@@ -253,18 +201,10 @@ export default function UserManagement() {
         }
 
 
-        const response = await authFetch(`${SERVER_URL}/users/update`, {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(formData),
-        });
-
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(errorData.detail || `Failed to update user: ${response.statusText}`);
-        }
-
-        const updatedUser = await response.json();
+        // The role is only sent when it was changed, so legacy roles are not rewritten by
+        // saving other fields
+        const { role, ...fields } = formData;
+        const updatedUser = await updateUser(role === normalizeRole(selectedUser.role) ? fields : formData);
         setUsers(users.map(user =>
           user.username === selectedUser.username ? updatedUser : user
         ));
@@ -278,18 +218,7 @@ export default function UserManagement() {
           return;
         }
 
-        const response = await authFetch(`${SERVER_URL}/users/create`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(formData),
-        });
-
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(errorData.detail || `Failed to create user: ${response.statusText}`);
-        }
-
-        const newUser = await response.json();
+        const newUser = await createUser(formData);
         setUsers([...users, newUser]);
         closeModal();
       }
@@ -323,10 +252,6 @@ export default function UserManagement() {
     );
   }
 
-  if (!currentUser || currentUser.role !== 'admin') {
-    return <div className={styles.unauthorizedContainer}>Unauthorized access.</div>;
-  }
-
   return (
     <>
       <Head>
@@ -376,9 +301,9 @@ export default function UserManagement() {
                     <td>{user.email || '-'}</td>
                     <td>
                       <span className={
-                        user.role === 'admin' ? styles.adminBadge : styles.userBadge
+                        normalizeRole(user.role) === ROLES.ADMIN ? styles.adminBadge : styles.userBadge
                       }>
-                        {user.role}
+                        {ROLE_LABELS[normalizeRole(user.role)] || user.role}
                       </span>
                     </td>
                     <td className={styles.actions}>
@@ -512,12 +437,21 @@ export default function UserManagement() {
                     onChange={handleInputChange}
                     disabled={isSubmitting || (modalMode === 'edit' && selectedUser?.username === currentUser?.username)}
                   >
-                    <option value="user">User</option>
-                    <option value="admin">Admin</option>
+                    {Object.values(ROLES).map((role) => (
+                      <option key={role} value={role}>
+                        {ROLE_LABELS[role]}
+                      </option>
+                    ))}
                   </select>
                   {modalMode === 'edit' && selectedUser?.username === currentUser?.username && (
                     <p className={styles.fieldHint}>You cannot change your own role</p>
                   )}
+                  {modalMode === 'edit' && selectedUser && selectedUser.role !== normalizeRole(selectedUser.role) && (
+                    <p className={styles.fieldHint}>
+                      Stored as the legacy role &quot;{selectedUser.role}&quot;, which has the rights of
+                      {' '}{ROLE_LABELS[normalizeRole(selectedUser.role)]}. It is kept unless you pick another role.
+                    </p>
+                  )}
                 </div>
 
                 <div className={styles.formGroup}>
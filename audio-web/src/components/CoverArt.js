@@ -0,0 +1,68 @@
+"use client";
+import React, { useEffect, useState } from 'react';
+import Image from 'next/image';
+import { Music } from 'lucide-react';
+import { getCoverUrl } from '@/utils/api';
+import styles from '../styles/coverArt.module.css';
+
+/**
+ * Cover image of a track, or a music note placeholder when the track has none or it cannot
+ * be loaded. The placeholder is shown until the signed cover URL arrives; images are only
+ * requested once they scroll into view.
+ *
+ * @param {Object} props
+ * @param {Object} props.track - The audio file, as formatted by the audio page
+ * @param {number} props.size - Width and height in pixels
+ * @param {string} props.className - Extra class for the image and the placeholder
+ */
+export default function CoverArt({ track, size = 40, className = '' }) {
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const hasCover = !track.isDemo && track.hasCover !== false;
+
+  // Kept once loaded, so a new session token does not reload every cover on the page. Another
+  // track starts from the placeholder, not from the cover or failure of the previous one.
+  useEffect(() => {
+    setSrc(null);
+    setFailed(false);
+    if (!hasCover) return;
+    let cancelled = false;
+
+    getCoverUrl(track.fileName)
+      .then((url) => {
+        if (!cancelled) setSrc(url);
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [hasCover, track.fileName]);
+
+  if (!src || failed) {
+    return (
+      <span
+        className={`${styles.placeholder} ${className}`}
+        style={{ width: size, height: size }}
+        aria-hidden="true"
+      >
+        <Music size={Math.round(size / 2)} />
+      </span>
+    );
+  }
+
+  return (
+    <Image
+      src={src}
+      alt={`Cover of ${track.title}`}
+      width={size}
+      height={size}
+      loading="lazy"
+      unoptimized
+      onError={() => setFailed(true)}
+      className={`${styles.cover} ${className}`}
+    />
+  );
+}
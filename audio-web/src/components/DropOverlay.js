@@ -0,0 +1,28 @@
+"use client";
+import React from 'react';
+import { UploadCloud } from 'lucide-react';
+import { useFileDrop } from '@/hooks/useFileDrop';
+import styles from '../styles/dropZone.module.css';
+
+/**
+ * Accepts files dropped anywhere on the page, covering it while files are dragged over it.
+ *
+ * @param {Object} props
+ * @param {Function} props.onDrop - Called with the dropped files, see readDroppedFiles
+ * @param {boolean} props.enabled - Whether drops are accepted, e.g. only for users who may upload
+ * @param {string} props.label - What dropping does, e.g. 'Drop to upload to alice/podcasts'
+ */
+export default function DropOverlay({ onDrop, enabled = true, label }) {
+  const { dragging } = useFileDrop(onDrop, { enabled, global: true });
+
+  if (!dragging) return null;
+
+  return (
+    <div className={styles.overlay} role="presentation">
+      <div className={styles.overlayContent}>
+        <UploadCloud size={48} aria-hidden="true" />
+        <p>{label}</p>
+      </div>
+    </div>
+  );
+}
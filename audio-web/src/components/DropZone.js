@@ -0,0 +1,27 @@
+"use client";
+import React from 'react';
+import { UploadCloud } from 'lucide-react';
+import { useFileDrop } from '@/hooks/useFileDrop';
+import styles from '../styles/dropZone.module.css';
+
+/**
+ * Area of the upload form files and folders can be dropped on, around the file pickers.
+ *
+ * @param {Object} props
+ * @param {Function} props.onDrop - Called with the dropped files, see readDroppedFiles
+ * @param {boolean} props.disabled - Ignore drops, e.g. while the queue is being sent
+ * @param {string} props.hint - What files are accepted
+ * @param {React.ReactNode} props.children - The file pickers
+ */
+export default function DropZone({ onDrop, disabled = false, hint, children }) {
+  const { dragging, dropProps } = useFileDrop(onDrop, { enabled: !disabled });
+
+  return (
+    <div {...dropProps} className={`${styles.dropZone} ${dragging ? styles.dragging : ''}`}>
+      <UploadCloud size={32} className={styles.icon} aria-hidden="true" />
+      <p className={styles.label}>Drag audio files or folders here</p>
+      {children}
+      {hint && <p className={styles.hint}>{hint}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+"use client";
+import React from 'react';
+import Link from 'next/link';
+import styles from '../styles/routeGuard.module.css';
+
+/**
+ * 403 page shown in place of a route the current user's role may not open
+ */
+export default function Forbidden() {
+  return (
+    <div className={styles.guardContainer} role="alert">
+      <p className={styles.statusCode}>403</p>
+      <h1 className={styles.title}>Access denied</h1>
+      <p className={styles.message}>You do not have permission to view this page.</p>
+      <Link href="/" className={styles.homeButton}>
+        Back to home
+      </Link>
+    </div>
+  );
+}
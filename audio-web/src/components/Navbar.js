@@ -0,0 +1,66 @@
+"use client";
+import React from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import styles from '../styles/navbar.module.css';
+import { useAuth } from '@/context/AuthContext';
+import { getNavLinks } from '@/utils/routes';
+import { ROLE_LABELS } from '@/utils/roles';
+
+export default function Navbar() {
+  const { status, username, role, logout } = useAuth();
+  const router = useRouter();
+
+  // Function to handle logout
+  const handleLogout = () => {
+    try {
+      logout(); // Clears the session, AuthProvider resets the state on the 'logout' event
+    } catch (error) {
+      console.error('Error during logout:', error);
+    } finally {
+      // Redirect to login page
+      router.push('/login');
+    }
+  };
+
+  // Navbar renders when authenticated (from either the auth storage or server check)
+  if (status !== 'authenticated') {
+    return null;
+  }
+
+  return (
+    <nav className={styles.navbar}>
+      <div className={styles.navbarContainer}>
+        <div className={styles.navbarLogo}>
+          <Link href="/">Audio Host App</Link>
+        </div>
+        <ul className={styles.navbarMenu}>
+          {/* Only links to routes the role may open, see utils/routes.js */}
+          {getNavLinks(role).map((link) => (
+            <li key={link.href} className={styles.navbarItem}>
+              <Link href={link.href}>{link.label}</Link>
+            </li>
+          ))}
+          <li className={styles.navbarItem}>
+            <span className={styles.welcomeText}>
+              Welcome, {username}
+            </span>
+            {role && (
+              <span className={`${styles.roleBadge} ${styles[`${role}Badge`] || ''}`}>
+                {ROLE_LABELS[role] || role}
+              </span>
+            )}
+          </li>
+          <li className={styles.navbarItem}>
+            <button
+              className={styles.logoutButton}
+              onClick={handleLogout}
+            >
+              Logout
+            </button>
+          </li>
+        </ul>
+      </div>
+    </nav>
+  );
+}
@@ -0,0 +1,286 @@
+"use client";
+import React, { useEffect, useRef, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import AudioPlayer from 'react-h5-audio-player';
+import 'react-h5-audio-player/lib/styles.css';
+import { Shuffle, Repeat, Repeat1, ListMusic, X } from 'lucide-react';
+import styles from '../styles/player.module.css';
+import { usePlayer } from '@/context/PlayerContext';
+import { getStreamUrl } from '@/utils/api';
+
+// "Previous" restarts the current track when it has played longer than this
+const RESTART_THRESHOLD = 3; // seconds
+
+/**
+ * Mini-player fixed to the bottom of every page, mounted in RootLayout so playback survives
+ * navigation. Plays `currentTrack` from the player context and advances when a track ends.
+ */
+export default function PlayerBar() {
+  const {
+    currentTrack,
+    playId,
+    startAt,
+    registerAudioElement,
+    analyzerStatus,
+    setAnalyzerStatus,
+    upNext,
+    hasNext,
+    hasPrevious,
+    shuffle,
+    repeat,
+    playNext,
+    playPrevious,
+    removeFromQueue,
+    clearQueue,
+    toggleShuffle,
+    cycleRepeat,
+    stop,
+  } = usePlayer();
+  const router = useRouter();
+  const playerRef = useRef(null);
+  // The stream URL of the current play, kept with its playId so a stale URL is never played
+  const [stream, setStream] = useState({ playId: null, url: null, error: null });
+  const [showQueue, setShowQueue] = useState(false);
+  // Whether the URL of the current play was already replaced after an error, and where to resume
+  const retriedRef = useRef(false);
+  const resumeAtRef = useRef(0);
+  // Last position of the current play, for when the player remounts
+  const positionRef = useRef(0);
+
+  /**
+   * Prepares the stream URL whenever a track starts.
+   */
+  useEffect(() => {
+    if (!currentTrack) return;
+
+    let cancelled = false;
+    retriedRef.current = false;
+    resumeAtRef.current = 0;
+    positionRef.current = 0;
+
+    getStreamUrl(currentTrack.fileName)
+      .then((url) => {
+        if (!cancelled) setStream({ playId, url, error: null });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Error preparing audio stream:", err);
+        setStream({ playId, url: null, error: err.message });
+        if (err.status === 401) {
+          router.push('/login');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentTrack, playId, router]);
+
+  // The stream is only loaded with CORS for the analyzer, a backend without CORS headers could
+  // not be played otherwise. The player remounts to reload it when this changes.
+  const useCors = analyzerStatus === 'loading' || analyzerStatus === 'ready';
+
+  // Share the audio element of the current play, the player remounts for every track
+  useEffect(() => {
+    const audio = playerRef.current?.audio.current || null;
+    registerAudioElement(audio);
+    if (!audio) return;
+
+    const handleTimeUpdate = () => {
+      positionRef.current = audio.currentTime;
+    };
+    audio.addEventListener('timeupdate', handleTimeUpdate);
+    return () => audio.removeEventListener('timeupdate', handleTimeUpdate);
+  }, [currentTrack, playId, useCors, registerAudioElement]);
+
+  // Continue where the track was when it is reloaded with or without CORS
+  useEffect(() => {
+    if (analyzerStatus === 'loading' || analyzerStatus === 'unavailable') {
+      resumeAtRef.current = positionRef.current;
+    }
+  }, [analyzerStatus]);
+
+  // Clear the shared element when the bar goes away
+  useEffect(() => () => registerAudioElement(null), [registerAudioElement]);
+
+  if (!currentTrack) return null;
+
+  const streamUrl = stream.playId === playId ? stream.url : null;
+  const streamError = stream.playId === playId ? stream.error : null;
+
+  /**
+   * The signed stream URL expires after a while, possibly while the track is playing or
+   * paused. Get a new one once and resume where playback stopped.
+   *
+   * @param {Object} e - The error event of the audio element.
+   */
+  const handlePlayError = async (e) => {
+    console.error("Audio playback error:", e);
+    if (analyzerStatus === 'loading') {
+      // Most likely no CORS headers, play without the analyzer instead
+      setAnalyzerStatus(playId, 'unavailable');
+      return;
+    }
+    if (retriedRef.current) {
+      setStream(prev => ({ ...prev, error: 'This track could not be played.' }));
+      return;
+    }
+
+    retriedRef.current = true;
+    resumeAtRef.current = e.target?.currentTime || 0;
+    const requestPlayId = playId;
+
+    try {
+      const url = await getStreamUrl(currentTrack.fileName, { forceRefresh: true });
+      setStream(prev => (prev.playId === requestPlayId ? { ...prev, url } : prev));
+    } catch (err) {
+      console.error("Error refreshing audio stream:", err);
+      if (err.status === 401) {
+        router.push('/login');
+      }
+    }
+  };
+
+  /**
+   * Seeks back to where playback stopped after the stream was reloaded, or to where the
+   * track was asked to start.
+   *
+   * @param {Object} e - The loadedmetadata event of the audio element.
+   */
+  const handleLoadedMetaData = (e) => {
+    if (analyzerStatus === 'loading') {
+      setAnalyzerStatus(playId, 'ready');
+    }
+    if (resumeAtRef.current) {
+      e.target.currentTime = resumeAtRef.current;
+      resumeAtRef.current = 0;
+    } else if (startAt > 0 && Number.isFinite(e.target.duration)) {
+      e.target.currentTime = startAt * e.target.duration;
+    }
+  };
+
+  // Restarts the track when it is already under way, like most players, otherwise goes back
+  const handlePrevious = () => {
+    const audio = playerRef.current?.audio.current;
+    if (audio && (audio.currentTime > RESTART_THRESHOLD || !hasPrevious)) {
+      audio.currentTime = 0;
+      return;
+    }
+    playPrevious();
+  };
+
+  const RepeatIcon = repeat === 'one' ? Repeat1 : Repeat;
+
+  return (
+    <>
+      {/* Keeps the end of the page visible above the fixed bar */}
+      <div className={styles.playerSpacer} />
+
+      <div className={styles.playerBar}>
+        {showQueue && (
+          <div className={styles.queuePanel}>
+            <div className={styles.queueHeader}>
+              <span>Up next</span>
+              {upNext.length > 0 && (
+                <button type="button" onClick={clearQueue} className={styles.textButton}>
+                  Clear
+                </button>
+              )}
+            </div>
+            {upNext.length === 0 ? (
+              <p className={styles.queueEmpty}>
+                The queue is empty, playback continues with the library view.
+              </p>
+            ) : (
+              <ol className={styles.queueList}>
+                {upNext.map((track, index) => (
+                  <li key={`${track.id}-${index}`} className={styles.queueItem}>
+                    <span className={styles.queueTitle}>{track.title}</span>
+                    <button
+                      type="button"
+                      onClick={() => removeFromQueue(index)}
+                      className={styles.iconButton}
+                      aria-label={`Remove ${track.title} from the queue`}
+                    >
+                      <X size={16} />
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        )}
+
+        <div className={styles.playerInner}>
+          <div className={styles.trackInfo}>
+            <span className={styles.trackTitle}>{currentTrack.title}</span>
+            <span className={styles.trackArtist}>
+              {streamError || currentTrack.artist}
+            </span>
+          </div>
+
+          <AudioPlayer
+            key={`${playId}-${useCors}`}
+            ref={playerRef}
+            src={streamUrl || undefined}
+            crossOrigin={useCors ? 'anonymous' : undefined}
+            autoPlay
+            loop={repeat === 'one'}
+            showSkipControls
+            showJumpControls={false}
+            onClickPrevious={handlePrevious}
+            onClickNext={() => hasNext && playNext()}
+            onEnded={playNext}
+            onError={handlePlayError}
+            onLoadedMetaData={handleLoadedMetaData}
+            customAdditionalControls={[]}
+            layout="horizontal-reverse"
+            className={styles.player}
+          />
+
+          <div className={styles.playerControls}>
+            <button
+              type="button"
+              onClick={toggleShuffle}
+              className={`${styles.iconButton} ${shuffle ? styles.active : ''}`}
+              aria-pressed={shuffle}
+              aria-label="Shuffle"
+              title="Shuffle"
+            >
+              <Shuffle size={18} />
+            </button>
+            <button
+              type="button"
+              onClick={cycleRepeat}
+              className={`${styles.iconButton} ${repeat !== 'off' ? styles.active : ''}`}
+              aria-label={`Repeat: ${repeat}`}
+              title={`Repeat: ${repeat}`}
+            >
+              <RepeatIcon size={18} />
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowQueue(open => !open)}
+              className={`${styles.iconButton} ${showQueue ? styles.active : ''}`}
+              aria-expanded={showQueue}
+              aria-label="Queue"
+              title="Queue"
+            >
+              <ListMusic size={18} />
+              {upNext.length > 0 && <span className={styles.queueCount}>{upNext.length}</span>}
+            </button>
+            <button
+              type="button"
+              onClick={stop}
+              className={styles.iconButton}
+              aria-label="Close player"
+              title="Close player"
+            >
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
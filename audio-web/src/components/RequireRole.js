@@ -0,0 +1,76 @@
+"use client";
+import React, { useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import styles from '../styles/routeGuard.module.css';
+import { useAuth } from '@/context/AuthContext';
+import Forbidden from './Forbidden';
+
+/**
+ * Renders its children only for logged-in users with one of the given roles.
+ * Logged-out users are sent to /login, users without the role see the 403 page. When the
+ * session is kept but the user could not be loaded, the role is unknown: the user can retry or
+ * log in again.
+ *
+ * @param {Object} props
+ * @param {string[]|null} props.roles - Allowed roles, or null to allow any logged-in user
+ * @param {React.ReactNode} props.children - The protected content
+ */
+export default function RequireRole({ roles = null, children }) {
+  const { status, user, role, userError, refreshUser, logout } = useAuth();
+  const router = useRouter();
+  const [retrying, setRetrying] = useState(false);
+
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.replace('/login');
+    }
+  }, [status, router]);
+
+  // Role checks need the user loaded from the server, not just the stored session. A user that
+  // loaded without a role is not waited for, it has none of the roles.
+  const isChecking = status === 'loading' || retrying || (status === 'authenticated' && roles && !user && !userError);
+
+  /**
+   * Loads the user from the server again.
+   */
+  const handleRetry = async () => {
+    setRetrying(true);
+    try {
+      await refreshUser();
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  if (isChecking) {
+    return <div className={styles.guardContainer}>Loading...</div>;
+  }
+
+  if (status === 'authenticated' && roles && !user) {
+    return (
+      <div className={styles.guardContainer} role="alert">
+        <h1 className={styles.title}>Could not load your account</h1>
+        <p className={styles.message}>Check your connection and try again, or log in again.</p>
+        <div className={styles.actions}>
+          <button type="button" onClick={handleRetry} className={styles.homeButton}>
+            Try again
+          </button>
+          <button type="button" onClick={logout} className={styles.secondaryButton}>
+            Log in again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Return null while redirecting (prevents flashing content)
+  if (status !== 'authenticated') {
+    return null;
+  }
+
+  if (roles && !roles.includes(role)) {
+    return <Forbidden />;
+  }
+
+  return children;
+}
@@ -0,0 +1,22 @@
+"use client";
+import React from 'react';
+import { usePathname } from 'next/navigation';
+import { getRouteAccess } from '@/utils/routes';
+import RequireRole from './RequireRole';
+
+/**
+ * Applies the access rule from utils/routes.js to the current route before it renders
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - The page
+ */
+export default function RouteGuard({ children }) {
+  const pathname = usePathname();
+  const access = getRouteAccess(pathname);
+
+  if (!access) {
+    return children;
+  }
+
+  return <RequireRole roles={access.roles}>{children}</RequireRole>;
+}
@@ -0,0 +1,111 @@
+"use client";
+import React, { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import styles from '../styles/navbar.module.css';
+import { useAuth } from '@/context/AuthContext';
+import {
+  extendSession,
+  getToken,
+  getTokenExpiry,
+  SESSION_WARNING_LEAD,
+} from '@/utils/auth';
+
+/**
+ * Formats the time left before expiry for the banner
+ * @param {number} ms - Milliseconds until expiry
+ * @returns {string} e.g. "2 minutes" or "45 seconds"
+ */
+const formatTimeLeft = (ms) => {
+  const seconds = Math.max(Math.ceil(ms / 1000), 0);
+  if (seconds >= 60) {
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  return `${seconds} second${seconds === 1 ? '' : 's'}`;
+};
+
+/**
+ * Warns before the access token expires and offers to extend the session.
+ * The warning and the logout at expiry are scheduled by `scheduleSessionExpiry` in utils/auth.js.
+ */
+export default function SessionExpiryBanner() {
+  const { status } = useAuth();
+  // Expiry timestamp while the banner is shown, null otherwise
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [isExtending, setIsExtending] = useState(false);
+  const router = useRouter();
+
+  useEffect(() => {
+    // Listen for the pre-expiry warning scheduled from the token's `exp` claim
+    const handleSessionExpiringEvent = (e) => {
+      setNow(Date.now());
+      setSessionExpiresAt(e.detail.expiresAt);
+    };
+
+    // The token expired without being extended
+    const handleSessionExpiredEvent = () => {
+      setSessionExpiresAt(null);
+      router.push('/login');
+    };
+
+    window.addEventListener('sessionexpiring', handleSessionExpiringEvent);
+    window.addEventListener('sessionexpired', handleSessionExpiredEvent);
+
+    return () => {
+      window.removeEventListener('sessionexpiring', handleSessionExpiringEvent);
+      window.removeEventListener('sessionexpired', handleSessionExpiredEvent);
+    };
+  }, [router]);
+
+  /**
+   * Ticks the countdown while the banner is shown. The banner hides itself once the stored
+   * token expires later than the warning window, e.g. after a refresh.
+   */
+  useEffect(() => {
+    if (sessionExpiresAt === null) return;
+
+    const intervalId = setInterval(() => {
+      const expiresAt = getTokenExpiry(getToken());
+      if (expiresAt === null || expiresAt - Date.now() > SESSION_WARNING_LEAD) {
+        setSessionExpiresAt(null);
+        return;
+      }
+      setNow(Date.now());
+    }, 1000);
+
+    return () => clearInterval(intervalId);
+  }, [sessionExpiresAt]);
+
+  // Function to extend the session from the banner
+  const handleExtendSession = async () => {
+    setIsExtending(true);
+    const extended = await extendSession();
+    setIsExtending(false);
+
+    if (extended) {
+      setSessionExpiresAt(null);
+    } else {
+      alert('Could not extend your session. Please save your work and log in again.');
+    }
+  };
+
+  if (status !== 'authenticated' || sessionExpiresAt === null) {
+    return null;
+  }
+
+  return (
+    <div className={styles.sessionBanner} role="alert">
+      <span>
+        Your session expires in {formatTimeLeft(sessionExpiresAt - now)} — extend?
+      </span>
+      <button
+        className={styles.sessionBannerButton}
+        onClick={handleExtendSession}
+        disabled={isExtending}
+      >
+        {isExtending ? 'Extending...' : 'Extend session'}
+      </button>
+    </div>
+  );
+}
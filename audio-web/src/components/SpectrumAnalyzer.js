@@ -0,0 +1,243 @@
+"use client";
+import React, { useEffect, useRef, useState } from 'react';
+import { usePlayer } from '@/context/PlayerContext';
+import { getAnalyser } from '@/utils/audioAnalyser';
+import styles from '../styles/analyzer.module.css';
+
+// Lowest frequency shown, frequencies are spread on a log scale up to half the sample rate
+const MIN_FREQUENCY = 20; // Hz
+const BAR_WIDTH = 3;
+const BAR_GAP = 1;
+
+const VIEWS = [
+  { value: 'spectrum', label: 'Spectrum' },
+  { value: 'spectrogram', label: 'Spectrogram' },
+];
+
+// Spectrogram colors from silent to loud: black, blue, purple, red, yellow, white
+const COLOR_STOPS = [
+  [0, 0, 0],
+  [30, 40, 160],
+  [140, 40, 170],
+  [230, 60, 50],
+  [250, 200, 40],
+  [255, 255, 255],
+];
+
+/**
+ * Build the 256 colors of the spectrogram, one per byte level of the analyser
+ * @returns {Array<Array<number>>} RGB triples
+ */
+const buildColorMap = () => Array.from({ length: 256 }, (_, level) => {
+  const position = (level / 255) * (COLOR_STOPS.length - 1);
+  const index = Math.min(Math.floor(position), COLOR_STOPS.length - 2);
+  const mix = position - index;
+  const [from, to] = [COLOR_STOPS[index], COLOR_STOPS[index + 1]];
+  return from.map((channel, i) => Math.round(channel + (to[i] - channel) * mix));
+});
+
+const COLOR_MAP = buildColorMap();
+
+/**
+ * Get the analyser bin shown at a position of the log frequency axis
+ * @param {AnalyserNode} analyser - The analyser
+ * @param {number} position - Position on the axis, 0 for the lowest frequency and 1 for the highest
+ * @returns {number} The bin index
+ */
+const getBinAt = (analyser, position) => {
+  const maxFrequency = analyser.context.sampleRate / 2;
+  const frequency = MIN_FREQUENCY * Math.pow(maxFrequency / MIN_FREQUENCY, position);
+  const bin = Math.round((frequency * analyser.fftSize) / analyser.context.sampleRate);
+  return Math.min(bin, analyser.frequencyBinCount - 1);
+};
+
+/**
+ * Match the canvas buffer to its displayed size, which clears it when the size changed
+ * @param {HTMLCanvasElement} canvas - The canvas
+ * @returns {{width: number, height: number}} The buffer size in device pixels
+ */
+const fitCanvas = (canvas) => {
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.max(Math.round(canvas.clientWidth * ratio), 1);
+  const height = Math.max(Math.round(canvas.clientHeight * ratio), 1);
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  return { width, height };
+};
+
+/**
+ * Draw the current spectrum as bars, low frequencies on the left
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on
+ * @param {AnalyserNode} analyser - The analyser
+ * @param {Uint8Array} data - Buffer for the frequency data
+ */
+const drawSpectrum = (canvas, analyser, data) => {
+  const { width, height } = fitCanvas(canvas);
+  const ratio = window.devicePixelRatio || 1;
+  const context = canvas.getContext('2d');
+  analyser.getByteFrequencyData(data);
+  context.clearRect(0, 0, width, height);
+
+  const step = (BAR_WIDTH + BAR_GAP) * ratio;
+  const barCount = Math.max(Math.floor(width / step), 1);
+
+  for (let bar = 0; bar < barCount; bar++) {
+    // A bar covers several bins at high frequencies, show the loudest one
+    const start = getBinAt(analyser, bar / barCount);
+    const end = Math.max(getBinAt(analyser, (bar + 1) / barCount), start + 1);
+    let level = 0;
+    for (let bin = start; bin < end; bin++) {
+      if (data[bin] > level) level = data[bin];
+    }
+
+    const barHeight = Math.max((level / 255) * height, ratio);
+    context.fillStyle = `hsl(${220 - (level / 255) * 180}, 80%, 55%)`;
+    context.fillRect(bar * step, height - barHeight, BAR_WIDTH * ratio, barHeight);
+  }
+};
+
+/**
+ * Scroll the spectrogram one column to the left and draw the current spectrum in the last column,
+ * low frequencies at the bottom
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on
+ * @param {AnalyserNode} analyser - The analyser
+ * @param {Uint8Array} data - Buffer for the frequency data
+ */
+const drawSpectrogram = (canvas, analyser, data) => {
+  const { width, height } = fitCanvas(canvas);
+  const context = canvas.getContext('2d');
+  analyser.getByteFrequencyData(data);
+
+  context.drawImage(canvas, -1, 0);
+
+  const column = context.createImageData(1, height);
+  for (let y = 0; y < height; y++) {
+    const [red, green, blue] = COLOR_MAP[data[getBinAt(analyser, 1 - y / height)]];
+    column.data.set([red, green, blue, 255], y * 4);
+  }
+  context.putImageData(column, width - 1, 0);
+};
+
+/**
+ * Format a frequency for the axis labels
+ * @param {number} frequency - The frequency in Hz
+ * @returns {string} e.g. '440 Hz' or '12.5 kHz'
+ */
+const formatFrequency = (frequency) => (
+  frequency >= 1000 ? `${Number((frequency / 1000).toFixed(1))} kHz` : `${Math.round(frequency)} Hz`
+);
+
+/**
+ * Live spectrum and spectrogram of a track while it plays in the player bar, shown in the
+ * expanded card of the audio library.
+ *
+ * @param {Object} props
+ * @param {Object} props.track - The audio file, as formatted by the audio page
+ */
+export default function SpectrumAnalyzer({ track }) {
+  const { currentTrack, audioElement, analyzerStatus, requestAnalyzer } = usePlayer();
+  const canvasRef = useRef(null);
+  const [view, setView] = useState('spectrum');
+  const [error, setError] = useState(null);
+  // Highest frequency of the axis, known once the analyser is connected
+  const [maxFrequency, setMaxFrequency] = useState(null);
+  const isCurrent = currentTrack?.id === track.id && !!audioElement;
+  // The samples can only be read once the player bar reloaded the stream with CORS
+  const isReady = isCurrent && analyzerStatus === 'ready';
+
+  useEffect(() => {
+    if (isCurrent && analyzerStatus === 'idle') requestAnalyzer();
+  }, [isCurrent, analyzerStatus, requestAnalyzer]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!isReady || !canvas) return;
+
+    let analyser;
+    try {
+      analyser = getAnalyser(audioElement);
+      setError(null);
+    } catch (err) {
+      console.error("Error connecting the analyzer:", err);
+      setError('The analyzer is not available in this browser.');
+      return;
+    }
+    setMaxFrequency(analyser.context.sampleRate / 2);
+
+    const data = new Uint8Array(analyser.frequencyBinCount);
+    const draw = view === 'spectrogram' ? drawSpectrogram : drawSpectrum;
+    // Start every view from a blank canvas
+    fitCanvas(canvas);
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+
+    // Only animate while playing, a paused track keeps its last picture
+    let frame = null;
+    const tick = () => {
+      draw(canvas, analyser, data);
+      frame = audioElement.paused ? null : requestAnimationFrame(tick);
+    };
+    const handlePlay = () => {
+      if (frame === null) tick();
+    };
+
+    handlePlay();
+    audioElement.addEventListener('play', handlePlay);
+
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      audioElement.removeEventListener('play', handlePlay);
+    };
+  }, [isReady, audioElement, view]);
+
+  if (error) {
+    return <p className={styles.analyzerMessage}>{error}</p>;
+  }
+
+  if (isCurrent && analyzerStatus === 'unavailable') {
+    return (
+      <p className={styles.analyzerMessage}>
+        The analyzer needs the audio server to allow cross-origin requests (CORS headers).
+      </p>
+    );
+  }
+
+  return (
+    <div className={styles.analyzer}>
+      <div className={styles.analyzerHeader}>
+        <div className={styles.viewSwitch} role="group" aria-label="Analyzer view">
+          {VIEWS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setView(option.value)}
+              className={`${styles.viewButton} ${view === option.value ? styles.activeView : ''}`}
+              aria-pressed={view === option.value}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {isReady && maxFrequency && (
+          <span className={styles.analyzerRange}>
+            {formatFrequency(MIN_FREQUENCY)} – {formatFrequency(maxFrequency)}, log scale
+          </span>
+        )}
+      </div>
+
+      {isReady ? (
+        <canvas
+          ref={canvasRef}
+          className={`${styles.analyzerCanvas} ${view === 'spectrogram' ? styles.spectrogram : ''}`}
+          role="img"
+          aria-label={`${view === 'spectrogram' ? 'Spectrogram' : 'Frequency spectrum'} of ${track.title}`}
+        />
+      ) : (
+        <p className={styles.analyzerMessage}>
+          {isCurrent ? 'Connecting the analyzer…' : 'Play this track to see its spectrum.'}
+        </p>
+      )}
+    </div>
+  );
+}
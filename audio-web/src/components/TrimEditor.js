@@ -0,0 +1,439 @@
+"use client";
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Play, Square } from 'lucide-react';
+import { computePeaks } from '@/utils/waveform';
+import { MIN_TRIM_LENGTH } from '@/utils/transcode';
+import styles from '../styles/trimEditor.module.css';
+
+const KEPT_COLOR = '#3b82f6';
+const CUT_COLOR = '#cbd5e1';
+const PLAYHEAD_COLOR = '#1f2937';
+const BAR_WIDTH = 2;
+const BAR_GAP = 1;
+
+// Longest fade in or out
+const MAX_FADE = 10; // seconds
+// Samples below this level count as silence, about -50 dB
+const SILENCE_LEVEL = 0.003;
+// The ending preview starts this long before the out marker
+const ENDING_PREVIEW = 5; // seconds
+// Arrow keys move a marker by this much, or by the large step with Shift
+const KEYBOARD_STEP = 0.1; // seconds
+const KEYBOARD_LARGE_STEP = 1; // seconds
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Trim times are kept to the millisecond, so the same range always gives the same conversion key
+const roundTime = seconds => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Format a position in the file
+ * @param {number} seconds - The position in seconds
+ * @returns {string} e.g. '1:07.4'
+ */
+const formatTime = (seconds) => {
+  const tenths = Math.round(seconds * 10);
+  return `${Math.floor(tenths / 600)}:${String(Math.floor((tenths % 600) / 10)).padStart(2, '0')}.${tenths % 10}`;
+};
+
+/**
+ * Get the gain of the trimmed file at a position, fading linearly like the encoder does
+ * @param {number} time - The position in the original file, in seconds
+ * @param {Object} trim - `start`, `end`, `fadeIn` and `fadeOut` in seconds
+ * @returns {number} The gain, between 0 and 1
+ */
+const getGainAt = (time, { start, end, fadeIn, fadeOut }) => {
+  let gain = 1;
+  if (fadeIn > 0) gain = Math.min(gain, (time - start) / fadeIn);
+  if (fadeOut > 0) gain = Math.min(gain, (end - time) / fadeOut);
+  return clamp(gain, 0, 1);
+};
+
+/**
+ * Find where the sound starts and ends, ignoring near silence at both ends
+ * @param {AudioBuffer} buffer - The decoded audio
+ * @returns {{start: number, end: number}} The positions in seconds
+ */
+const findSound = (buffer) => {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+  const isLoud = index => channels.some(data => Math.abs(data[index]) > SILENCE_LEVEL);
+
+  let first = 0;
+  while (first < buffer.length && !isLoud(first)) first++;
+  let last = buffer.length - 1;
+  while (last > first && !isLoud(last)) last--;
+
+  return { start: first / buffer.sampleRate, end: (last + 1) / buffer.sampleRate };
+};
+
+/**
+ * Draw the peaks with the cut parts greyed out, the fades shaping the kept part and the
+ * preview position as a line
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on
+ * @param {Array<number>} peaks - The peaks, between 0 and 1
+ * @param {number} duration - Duration of the file in seconds
+ * @param {Object} trim - The trim range and fades
+ * @param {number|null} playhead - The preview position in seconds, null when stopped
+ */
+const drawTrimWaveform = (canvas, peaks, duration, trim, playhead) => {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+  }
+
+  const context = canvas.getContext('2d');
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, width, height);
+
+  const barCount = Math.max(Math.floor(width / (BAR_WIDTH + BAR_GAP)), 1);
+  const middle = height / 2;
+
+  for (let bar = 0; bar < barCount; bar++) {
+    const start = Math.floor((bar / barCount) * peaks.length);
+    const end = Math.max(Math.floor(((bar + 1) / barCount) * peaks.length), start + 1);
+    let peak = 0;
+    for (let i = start; i < end && i < peaks.length; i++) {
+      if (peaks[i] > peak) peak = peaks[i];
+    }
+
+    const time = ((bar + 0.5) / barCount) * duration;
+    const kept = time >= trim.start && time <= trim.end;
+    const barHeight = Math.max(peak * height * (kept ? getGainAt(time, trim) : 1), 1);
+    context.fillStyle = kept ? KEPT_COLOR : CUT_COLOR;
+    context.fillRect(bar * (BAR_WIDTH + BAR_GAP), middle - barHeight / 2, BAR_WIDTH, barHeight);
+  }
+
+  if (playhead !== null) {
+    context.fillStyle = PLAYHEAD_COLOR;
+    context.fillRect(Math.round((playhead / duration) * width), 0, 1, height);
+  }
+};
+
+/**
+ * Trim editor of a queued file, shown in its details: a waveform with draggable in and out
+ * markers, fade in and out durations and a preview of the result.
+ *
+ * The file is decoded whole in the browser, see canTrim. The trim is only recorded on the queue
+ * item; the file is cut and encoded when it is sent, see transcodeFile.
+ *
+ * @param {Object} props
+ * @param {Object} props.item - The queue item, see useUploadQueue
+ * @param {Function} props.onChange - Called with the new `trim`, or null to keep the whole file
+ * @param {boolean} props.disabled - Whether the trim can no longer be changed, e.g. while uploading
+ */
+export default function TrimEditor({ item, onChange, disabled = false }) {
+  const canvasRef = useRef(null);
+  const trackRef = useRef(null);
+  const contextRef = useRef(null);
+  const bufferRef = useRef(null);
+  // The preview being played: `source`, the context time it `startedAt` and the file `offset`
+  const playbackRef = useRef(null);
+  // Marker being dragged, 'start' or 'end'
+  const dragRef = useRef(null);
+  const [status, setStatus] = useState('loading');
+  const [peaks, setPeaks] = useState(null);
+  const [duration, setDuration] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  const trim = item.trim || { start: 0, end: duration, fadeIn: 0, fadeOut: 0 };
+  const { start, end, fadeIn, fadeOut } = trim;
+
+  // Decode the file for the waveform and the preview, the audio is released when the details close
+  useEffect(() => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    let cancelled = false;
+    contextRef.current = context;
+    setStatus('loading');
+
+    item.file.arrayBuffer()
+      .then(data => context.decodeAudioData(data))
+      .then((buffer) => {
+        if (cancelled) return;
+        bufferRef.current = buffer;
+        setPeaks(computePeaks(buffer));
+        setDuration(buffer.duration);
+        setStatus('ready');
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Error decoding audio for trimming:', err);
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+      playbackRef.current?.source.stop();
+      playbackRef.current = null;
+      bufferRef.current = null;
+      contextRef.current = null;
+      context.close();
+    };
+  }, [item.file]);
+
+  // Redraw with the trim and while the preview plays, and whenever the details change width
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !peaks) return;
+
+    const range = { start, end, fadeIn, fadeOut };
+    let frame = null;
+    const redraw = () => {
+      const playback = playbackRef.current;
+      const playhead = playback
+        ? playback.offset + contextRef.current.currentTime - playback.startedAt
+        : null;
+      drawTrimWaveform(canvas, peaks, duration, range, playhead);
+      frame = playback ? requestAnimationFrame(redraw) : null;
+    };
+
+    redraw();
+    const observer = new ResizeObserver(() => {
+      if (frame === null) redraw();
+    });
+    observer.observe(canvas);
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      observer.disconnect();
+    };
+  }, [peaks, duration, start, end, fadeIn, fadeOut, playing]);
+
+  /**
+   * Stops the preview.
+   */
+  const stopPreview = useCallback(() => {
+    const playback = playbackRef.current;
+    playbackRef.current = null;
+    playback?.source.stop();
+    setPlaying(false);
+  }, []);
+
+  // The preview plays the range as it was when it started, changing the trim stops it
+  useEffect(() => {
+    if (playbackRef.current) stopPreview();
+  }, [start, end, fadeIn, fadeOut, stopPreview]);
+
+  /**
+   * Plays the trimmed file from a position until the out marker, with the fades.
+   *
+   * @param {number} from - The position in the original file, in seconds
+   */
+  const playPreview = (from) => {
+    const context = contextRef.current;
+    if (!context || !bufferRef.current) return;
+    stopPreview();
+
+    const offset = clamp(from, start, end);
+    const now = context.currentTime;
+    const source = context.createBufferSource();
+    const gain = context.createGain();
+    source.buffer = bufferRef.current;
+    source.connect(gain).connect(context.destination);
+
+    // The gain follows the fades from the offset on, as the encoder applies them
+    gain.gain.setValueAtTime(getGainAt(offset, trim), now);
+    if (fadeIn > 0 && offset < start + fadeIn) {
+      gain.gain.linearRampToValueAtTime(getGainAt(start + fadeIn, trim), now + start + fadeIn - offset);
+    }
+    if (fadeOut > 0) {
+      if (offset < end - fadeOut) gain.gain.setValueAtTime(getGainAt(end - fadeOut, trim), now + end - fadeOut - offset);
+      gain.gain.linearRampToValueAtTime(0, now + end - offset);
+    }
+
+    source.onended = () => {
+      if (playbackRef.current?.source !== source) return;
+      playbackRef.current = null;
+      setPlaying(false);
+    };
+    context.resume();
+    source.start(now, offset, end - offset);
+    playbackRef.current = { source, startedAt: now, offset };
+    setPlaying(true);
+  };
+
+  /**
+   * Records a new trim, or null when the whole file is kept as it is. The fades are shortened
+   * so they fit in the range together.
+   *
+   * @param {Object} changes - The changed `start`, `end`, `fadeIn` or `fadeOut`
+   */
+  const changeTrim = (changes) => {
+    const next = { ...trim, ...changes };
+    const length = next.end - next.start;
+    next.fadeIn = roundTime(clamp(next.fadeIn, 0, Math.min(MAX_FADE, length)));
+    next.fadeOut = roundTime(clamp(next.fadeOut, 0, Math.min(MAX_FADE, length - next.fadeIn)));
+    next.start = roundTime(next.start);
+    next.end = roundTime(next.end);
+
+    const whole = next.start === 0 && next.end >= roundTime(duration) && !next.fadeIn && !next.fadeOut;
+    onChange(whole ? null : next);
+  };
+
+  /**
+   * Moves a marker, keeping at least MIN_TRIM_LENGTH between the two.
+   *
+   * @param {string} marker - 'start' or 'end'
+   * @param {number} time - The new position in seconds
+   */
+  const moveMarker = (marker, time) => {
+    const minLength = Math.min(MIN_TRIM_LENGTH, duration);
+    changeTrim(marker === 'start'
+      ? { start: clamp(time, 0, end - minLength) }
+      : { end: clamp(time, start + minLength, duration) });
+  };
+
+  /**
+   * Gets the position in the file under the pointer.
+   *
+   * @param {PointerEvent} e - The pointer event.
+   * @returns {number} The position in seconds
+   */
+  const getPointerTime = (e) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    return clamp((e.clientX - rect.left) / rect.width, 0, 1) * duration;
+  };
+
+  /**
+   * Starts dragging a marker.
+   *
+   * @param {PointerEvent} e - The pointerdown event of the marker.
+   */
+  const handleMarkerPointerDown = (e) => {
+    if (disabled) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = e.currentTarget.dataset.marker;
+  };
+
+  const handleMarkerPointerMove = (e) => {
+    if (dragRef.current) moveMarker(dragRef.current, getPointerTime(e));
+  };
+
+  const handleMarkerPointerUp = () => {
+    dragRef.current = null;
+  };
+
+  /**
+   * Moves the focused marker with the arrow keys, further with Shift.
+   *
+   * @param {KeyboardEvent} e - The keydown event of the marker.
+   */
+  const handleMarkerKeyDown = (e) => {
+    if (disabled || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+    e.preventDefault();
+    const marker = e.currentTarget.dataset.marker;
+    const step = (e.shiftKey ? KEYBOARD_LARGE_STEP : KEYBOARD_STEP) * (e.key === 'ArrowLeft' ? -1 : 1);
+    moveMarker(marker, trim[marker] + step);
+  };
+
+  /**
+   * Cuts the near silence at the start and the end of the file.
+   */
+  const trimSilence = () => {
+    const sound = findSound(bufferRef.current);
+    if (sound.end - sound.start < Math.min(MIN_TRIM_LENGTH, duration)) return;
+    changeTrim(sound);
+  };
+
+  if (status === 'error') {
+    return <p className={styles.message}>This file cannot be previewed or trimmed in this browser.</p>;
+  }
+  if (status === 'loading') {
+    return <p className={styles.message}>Loading waveform...</p>;
+  }
+
+  const markers = [
+    { marker: 'start', label: 'In', time: start, min: 0, max: end },
+    { marker: 'end', label: 'Out', time: end, min: start, max: duration },
+  ];
+
+  return (
+    <div className={styles.trimEditor}>
+      <div
+        ref={trackRef}
+        className={styles.track}
+        onPointerMove={handleMarkerPointerMove}
+        onPointerUp={handleMarkerPointerUp}
+        onPointerCancel={handleMarkerPointerUp}
+      >
+        <canvas
+          ref={canvasRef}
+          className={styles.canvas}
+          onClick={e => playPreview(getPointerTime(e))}
+          aria-hidden="true"
+        />
+        {markers.map(({ marker, label, time, min, max }) => (
+          <div
+            key={marker}
+            data-marker={marker}
+            className={`${styles.marker} ${disabled ? styles.locked : ''}`}
+            style={{ left: `${(time / duration) * 100}%` }}
+            onPointerDown={handleMarkerPointerDown}
+            onKeyDown={handleMarkerKeyDown}
+            tabIndex={disabled ? -1 : 0}
+            role="slider"
+            aria-label={`${label} point of ${item.file.name}`}
+            aria-valuemin={Math.round(min * 10) / 10}
+            aria-valuemax={Math.round(max * 10) / 10}
+            aria-valuenow={Math.round(time * 10) / 10}
+            aria-valuetext={formatTime(time)}
+            aria-disabled={disabled}
+          >
+            <span className={styles.markerLabel}>{label}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className={styles.controls}>
+        <button
+          type="button"
+          onClick={() => (playing ? stopPreview() : playPreview(start))}
+          className={styles.playButton}
+          aria-label={playing ? 'Stop the preview' : `Preview the trimmed ${item.file.name}`}
+        >
+          {playing ? <Square size={14} /> : <Play size={14} />}
+        </button>
+        <span className={styles.times}>
+          {formatTime(start)} – {formatTime(end)} ({formatTime(end - start)})
+        </span>
+        <button type="button" onClick={() => playPreview(end - ENDING_PREVIEW)} className={styles.textButton}>
+          Play the ending
+        </button>
+        <button type="button" onClick={trimSilence} className={styles.textButton}>
+          Trim silence
+        </button>
+        {item.trim && (
+          <button type="button" onClick={() => onChange(null)} className={styles.textButton}>
+            Keep the whole file
+          </button>
+        )}
+      </div>
+
+      <div className={styles.fades}>
+        {[
+          { name: 'fadeIn', label: 'Fade in (s)', value: fadeIn },
+          { name: 'fadeOut', label: 'Fade out (s)', value: fadeOut },
+        ].map(({ name, label, value }) => (
+          <div key={name}>
+            <label htmlFor={`trim-${item.id}-${name}`}>{label}</label>
+            <input
+              id={`trim-${item.id}-${name}`}
+              type="number"
+              min={0}
+              max={MAX_FADE}
+              step={0.1}
+              value={value}
+              onChange={e => changeTrim({ [name]: Number(e.target.value) || 0 })}
+              className={styles.fadeInput}
+              disabled={disabled}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,369 @@
+"use client";
+import React, { useEffect, useState } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+import { Ban, ChevronDown, ChevronRight, RotateCcw, X } from 'lucide-react';
+import { AUDIO_CATEGORIES } from '@/utils/audioCategories';
+import { TAG_FIELDS, COVER_TYPES, HASH_ACTIONS, formatSize, validateCoverImage } from '@/utils/uploads';
+import { canTrim, getTrimmedLength } from '@/utils/transcode';
+import { UPLOAD_STATUS, isChecking } from '@/hooks/useUploadQueue';
+import TrimEditor from './TrimEditor';
+import styles from '../styles/uploadQueue.module.css';
+
+const STATUS_LABELS = {
+  [UPLOAD_STATUS.READING]: 'Checking...',
+  [UPLOAD_STATUS.READY]: 'Waiting',
+  [UPLOAD_STATUS.CONVERTING]: 'Converting',
+  [UPLOAD_STATUS.UPLOADING]: 'Uploading',
+  [UPLOAD_STATUS.DONE]: 'Uploaded',
+  [UPLOAD_STATUS.FAILED]: 'Failed',
+  [UPLOAD_STATUS.CANCELLED]: 'Cancelled',
+  [UPLOAD_STATUS.INVALID]: 'Rejected',
+};
+
+/**
+ * Format a duration for the queue
+ * @param {number|null} seconds - The duration in seconds
+ * @returns {string} e.g. '3:07', '--:--' if unknown
+ */
+const formatLength = (seconds) => (
+  seconds === null ? '--:--' : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+);
+
+/**
+ * Link to a library file, opened in a new tab so the queue keeps running
+ * @param {Object} file - The library file, see loadLibraryHashes
+ * @returns {string} The audio page searching its folder for its title
+ */
+const getLibraryLink = (file) => `/audio?${new URLSearchParams({ folder: file.folder, q: file.title })}`;
+
+/**
+ * One file of the upload queue: a table row with its main metadata, status and actions, and
+ * an optional row with the rest of its tags, description, cover and trim editor. Files breaking
+ * the upload rules show why, files whose name clashes can be sent anyway. A file with the same content as a
+ * library file gets a row linking to it, to skip it, replace the library file or keep both.
+ *
+ * @param {Object} props
+ * @param {Object} props.item - The queue item, see useUploadQueue
+ * @param {Function} props.onChange - Called with the changed fields of the item
+ * @param {Function} props.onRemove - Removes the item from the queue
+ * @param {Function} props.onCancel - Aborts the upload of the item
+ * @param {Function} props.onRetry - Puts a failed or cancelled item back in the queue
+ * @param {Function} props.onError - Shows an error message, e.g. for an unusable cover image
+ * @param {boolean} props.canReplace - Whether the user may replace the library file with the same content
+ * @param {Object|null} props.convertedSize - Size of the file once converted, see
+ *   estimateTranscodedSize; null if it is sent as it is
+ */
+export default function UploadQueueItem({ item, onChange, onRemove, onCancel, onRetry, onError, canReplace, convertedSize = null }) {
+  const [showDetails, setShowDetails] = useState(false);
+  const [coverPreview, setCoverPreview] = useState(null);
+  const editable = ![UPLOAD_STATUS.CONVERTING, UPLOAD_STATUS.UPLOADING, UPLOAD_STATUS.DONE, UPLOAD_STATUS.INVALID].includes(item.status);
+  const sending = item.status === UPLOAD_STATUS.CONVERTING || item.status === UPLOAD_STATUS.UPLOADING;
+  const duplicate = item.status === UPLOAD_STATUS.READY && !item.allowDuplicate ? item.duplicate : null;
+  const problem = item.error || item.problems?.join('. ') || duplicate;
+  const checking = isChecking(item);
+  const hashMatch = item.status === UPLOAD_STATUS.READY ? item.hashMatch : null;
+  const trimmable = canTrim(item) && item.status !== UPLOAD_STATUS.INVALID && item.status !== UPLOAD_STATUS.DONE;
+  const fieldId = name => `queue-${item.id}-${name}`;
+
+  // Preview of the cover while the details are open, the object URL is released afterwards
+  useEffect(() => {
+    if (!showDetails || !item.cover) {
+      setCoverPreview(null);
+      return;
+    }
+    const url = URL.createObjectURL(item.cover);
+    setCoverPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [showDetails, item.cover]);
+
+  /**
+   * Handles changes to one of the tag fields.
+   *
+   * @param {Object} e - The event object representing the input change event.
+   */
+  const handleTagChange = (e) => {
+    const { name, value } = e.target;
+    onChange({ tags: { ...item.tags, [name]: value } });
+  };
+
+  /**
+   * Handles the selection of a cover image, which replaces the cover embedded in the file.
+   *
+   * @param {Object} e - The event object representing the file input change event.
+   */
+  const handleCoverChange = (e) => {
+    const image = e.target.files[0];
+    // Allow choosing the same image again after removing it
+    e.target.value = '';
+    if (!image) return;
+
+    const problem = validateCoverImage(image);
+    if (problem) {
+      onError(`${item.file.name}: ${problem}`);
+      return;
+    }
+    onChange({ cover: image });
+  };
+
+  const DetailsIcon = showDetails ? ChevronDown : ChevronRight;
+
+  return (
+    <tbody className={styles.item}>
+      <tr>
+        <td>
+          <button
+            type="button"
+            onClick={() => setShowDetails(open => !open)}
+            className={styles.iconButton}
+            aria-expanded={showDetails}
+            aria-label={`Details of ${item.file.name}`}
+          >
+            <DetailsIcon size={16} />
+          </button>
+        </td>
+        <td className={styles.fileCell}>
+          <span className={styles.fileName}>
+            {item.subfolder ? `${item.subfolder}/` : ''}{item.file.name}
+          </span>
+          <span className={styles.fileMeta}>
+            {(item.file.size / (1024 * 1024)).toFixed(1)} MB
+            {convertedSize && ` → ${convertedSize.estimated ? '~' : ''}${formatSize(convertedSize.size)}`}
+            {' · '}{formatLength(getTrimmedLength(item))}
+            {item.trim && ' (trimmed)'}
+          </span>
+        </td>
+        <td>
+          <input
+            type="text"
+            name="title"
+            value={item.tags.title}
+            onChange={handleTagChange}
+            placeholder={item.file.name.replace(/\.[^/.]+$/, '')}
+            className={styles.input}
+            disabled={!editable}
+            aria-label={`Title of ${item.file.name}`}
+          />
+        </td>
+        <td>
+          <input
+            type="text"
+            name="artist"
+            value={item.tags.artist}
+            onChange={handleTagChange}
+            className={styles.input}
+            disabled={!editable}
+            aria-label={`Artist of ${item.file.name}`}
+          />
+        </td>
+        <td>
+          <select
+            value={item.category}
+            onChange={(e) => onChange({ category: e.target.value })}
+            className={`${styles.input} ${editable && !item.category ? styles.missing : ''}`}
+            disabled={!editable}
+            aria-label={`Category of ${item.file.name}`}
+          >
+            <option value="" disabled>Category</option>
+            {Object.values(AUDIO_CATEGORIES).map((category) => (
+              <option key={category} value={category}>
+                {category}
+              </option>
+            ))}
+          </select>
+        </td>
+        <td className={styles.statusCell}>
+          <div className={styles.progress}>
+            <div
+              className={`${styles.progressBar} ${styles[item.status] || ''}`}
+              style={{ width: `${item.status === UPLOAD_STATUS.DONE ? 100 : item.progress}%` }}
+            />
+          </div>
+          <span className={styles.statusText} title={problem || item.warning || ''}>
+            {checking ? 'Checking for duplicates' : STATUS_LABELS[item.status]}
+            {checking && !item.hashChecked && ` ${item.hashProgress}%`}
+            {sending && ` ${item.progress}%`}
+            {problem && `: ${problem}`}
+            {sending && item.warning && ` · ${item.warning}`}
+          </span>
+          {duplicate && (
+            <button type="button" onClick={() => onChange({ allowDuplicate: true })} className={styles.textButton}>
+              Upload anyway
+            </button>
+          )}
+        </td>
+        <td className={styles.actionsCell}>
+          {(item.status === UPLOAD_STATUS.FAILED || item.status === UPLOAD_STATUS.CANCELLED) && (
+            <button
+              type="button"
+              onClick={onRetry}
+              className={styles.iconButton}
+              aria-label={`Retry ${item.file.name}`}
+              title={item.uploadId ? 'Resume' : 'Retry'}
+            >
+              <RotateCcw size={16} />
+            </button>
+          )}
+          {sending ? (
+            <button
+              type="button"
+              onClick={onCancel}
+              className={styles.iconButton}
+              aria-label={`Cancel the upload of ${item.file.name}`}
+              title="Cancel"
+            >
+              <Ban size={16} />
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={onRemove}
+              className={styles.iconButton}
+              aria-label={`Remove ${item.file.name} from the queue`}
+              title="Remove"
+            >
+              <X size={16} />
+            </button>
+          )}
+        </td>
+      </tr>
+
+      {hashMatch && (
+        <tr className={styles.noticeRow}>
+          <td />
+          <td colSpan={6}>
+            <div className={styles.notice}>
+              <span>
+                {item.hashAction === HASH_ACTIONS.REPLACE && 'Replaces '}
+                {item.hashAction === HASH_ACTIONS.KEEP && 'Uploaded next to '}
+                {!item.hashAction && 'Same audio as '}
+                <Link href={getLibraryLink(hashMatch)} target="_blank" rel="noopener noreferrer">
+                  {hashMatch.title}
+                </Link>
+                {` in ${hashMatch.folder || 'the root folder'}`}
+              </span>
+              {item.hashAction ? (
+                <button type="button" onClick={() => onChange({ hashAction: null })} className={styles.textButton}>
+                  Change
+                </button>
+              ) : (
+                <>
+                  <button type="button" onClick={onRemove} className={styles.textButton}>
+                    Skip
+                  </button>
+                  {canReplace && (
+                    <button
+                      type="button"
+                      onClick={() => onChange({ hashAction: HASH_ACTIONS.REPLACE })}
+                      className={styles.textButton}
+                    >
+                      Replace
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => onChange({ hashAction: HASH_ACTIONS.KEEP })}
+                    className={styles.textButton}
+                  >
+                    Keep both
+                  </button>
+                </>
+              )}
+            </div>
+          </td>
+        </tr>
+      )}
+
+      {showDetails && (
+        <tr className={styles.detailsRow}>
+          <td />
+          <td colSpan={6}>
+            <fieldset className={styles.details} disabled={!editable}>
+              <div className={styles.detailsGrid}>
+                {TAG_FIELDS.filter(({ name }) => name !== 'title' && name !== 'artist').map(({ name, label, inputMode }) => (
+                  <div key={name}>
+                    <label htmlFor={fieldId(name)}>{label}</label>
+                    <input
+                      id={fieldId(name)}
+                      name={name}
+                      type="text"
+                      inputMode={inputMode}
+                      value={item.tags[name]}
+                      onChange={handleTagChange}
+                      className={styles.input}
+                    />
+                  </div>
+                ))}
+                <div className={styles.wide}>
+                  <label htmlFor={fieldId('description')}>Description</label>
+                  <textarea
+                    id={fieldId('description')}
+                    value={item.description}
+                    onChange={(e) => onChange({ description: e.target.value })}
+                    className={styles.input}
+                    rows={2}
+                  />
+                </div>
+              </div>
+
+              <div className={styles.cover}>
+                {coverPreview ? (
+                  <Image
+                    src={coverPreview}
+                    alt={`Cover of ${item.file.name}`}
+                    width={72}
+                    height={72}
+                    unoptimized
+                    className={styles.coverImage}
+                  />
+                ) : (
+                  <span className={styles.coverPlaceholder}>No cover</span>
+                )}
+                <label htmlFor={fieldId('cover')} className={styles.textButton}>
+                  {item.cover ? 'Change cover image' : 'Choose cover image'}
+                  <input
+                    type="file"
+                    id={fieldId('cover')}
+                    onChange={handleCoverChange}
+                    className={styles.hiddenInput}
+                    accept={Object.keys(COVER_TYPES).join(',')}
+                  />
+                </label>
+                {item.cover && (
+                  <button type="button" onClick={() => onChange({ cover: null })} className={styles.textButton}>
+                    Remove cover
+                  </button>
+                )}
+                {item.extractedCover && item.cover !== item.extractedCover && (
+                  <button
+                    type="button"
+                    onClick={() => onChange({ cover: item.extractedCover })}
+                    className={styles.textButton}
+                  >
+                    Use the cover from the file
+                  </button>
+                )}
+              </div>
+
+              {trimmable && (
+                <div className={styles.trim}>
+                  <span className={styles.sectionLabel}>Trim and fades</span>
+                  <TrimEditor item={item} onChange={trim => onChange({ trim })} disabled={!editable} />
+                </div>
+              )}
+
+              {item.subfolder && (
+                <p className={styles.hint}>Uploaded to the subfolder {item.subfolder} of the destination folder.</p>
+              )}
+              {item.warning && <p className={styles.hint}>{item.warning}</p>}
+              {item.problems?.map(reason => (
+                <p key={reason} className={`${styles.hint} ${styles.problem}`}>{reason}</p>
+              ))}
+              {item.duplicate && <p className={styles.hint}>{item.duplicate}</p>}
+            </fieldset>
+          </td>
+        </tr>
+      )}
+    </tbody>
+  );
+}
@@ -0,0 +1,163 @@
+"use client";
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * Window-scrolled list that only mounts the items near the viewport.
+ *
+ * Item heights are measured with a ResizeObserver once rendered, so cards may change size
+ * (e.g. when expanded); unmeasured items use `estimatedHeight`.
+ *
+ * @param {Object} props
+ * @param {Array} props.items - The items to render
+ * @param {Function} props.getKey - Returns a stable key for an item
+ * @param {Function} props.renderItem - Renders an item: (item, index) => node
+ * @param {number} props.estimatedHeight - Height used before an item is measured, in pixels
+ * @param {number} props.gap - Space between items, in pixels
+ * @param {number} props.overscan - Extra pixels rendered above and below the viewport
+ * @param {Function} props.onEndReached - Called when the last `endThreshold` items come into range
+ * @param {number} props.endThreshold - How many items before the end to call `onEndReached`
+ * @param {string} props.className - Class name of the list container
+ */
+export default function VirtualList({
+  items,
+  getKey,
+  renderItem,
+  estimatedHeight = 80,
+  gap = 16,
+  overscan = 600,
+  onEndReached,
+  endThreshold = 5,
+  className,
+}) {
+  const containerRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const observersRef = useRef(new Map());
+  const refCallbacksRef = useRef(new Map());
+  const [, setMeasureVersion] = useState(0);
+  const [viewport, setViewport] = useState({ top: 0, bottom: 0 });
+
+  /**
+   * Tracks the visible part of the list, relative to its top edge. Re-run when the item count
+   * changes since content above the list (filters, alerts) may have moved it.
+   */
+  useEffect(() => {
+    const updateViewport = () => {
+      const container = containerRef.current;
+      if (!container) return;
+      const rect = container.getBoundingClientRect();
+      setViewport({ top: -rect.top, bottom: window.innerHeight - rect.top });
+    };
+
+    updateViewport();
+    window.addEventListener('scroll', updateViewport, { passive: true });
+    window.addEventListener('resize', updateViewport);
+
+    return () => {
+      window.removeEventListener('scroll', updateViewport);
+      window.removeEventListener('resize', updateViewport);
+    };
+  }, [items.length]);
+
+  // Forget the heights and ref callbacks of items that left the list, e.g. after a new search
+  useEffect(() => {
+    const keys = new Set(items.map(getKey));
+    [heightsRef.current, refCallbacksRef.current].forEach((entries) => {
+      entries.forEach((_, key) => {
+        if (!keys.has(key)) entries.delete(key);
+      });
+    });
+  }, [items, getKey]);
+
+  // Disconnect all observers on unmount
+  useEffect(() => {
+    const observers = observersRef.current;
+    return () => {
+      observers.forEach((observer) => observer.disconnect());
+      observers.clear();
+    };
+  }, []);
+
+  /**
+   * Returns a stable ref callback that measures the item with the given key
+   * @param {string} key - The item key
+   * @returns {Function} The ref callback
+   */
+  const getMeasureRef = useCallback((key) => {
+    if (refCallbacksRef.current.has(key)) {
+      return refCallbacksRef.current.get(key);
+    }
+
+    const callback = (node) => {
+      const existing = observersRef.current.get(key);
+      if (existing) {
+        existing.disconnect();
+        observersRef.current.delete(key);
+      }
+      if (!node) return;
+
+      const observer = new ResizeObserver(() => {
+        const height = node.offsetHeight;
+        if (heightsRef.current.get(key) !== height) {
+          heightsRef.current.set(key, height);
+          setMeasureVersion((version) => version + 1);
+        }
+      });
+      observer.observe(node);
+      observersRef.current.set(key, observer);
+    };
+
+    refCallbacksRef.current.set(key, callback);
+    return callback;
+  }, []);
+
+  // Position of every item, from the measured or estimated heights
+  const offsets = [];
+  let totalHeight = 0;
+  items.forEach((item) => {
+    offsets.push(totalHeight);
+    totalHeight += (heightsRef.current.get(getKey(item)) ?? estimatedHeight) + gap;
+  });
+
+  const rangeTop = viewport.top - overscan;
+  const rangeBottom = viewport.bottom + overscan;
+  const visibleIndexes = [];
+  items.forEach((item, index) => {
+    const height = heightsRef.current.get(getKey(item)) ?? estimatedHeight;
+    const inRange = offsets[index] + height > rangeTop && offsets[index] < rangeBottom;
+    if (inRange) {
+      visibleIndexes.push(index);
+    }
+  });
+
+  // An empty list is not at its end: the caller decides whether there is anything to load
+  const lastInRange = visibleIndexes.filter((index) => offsets[index] < rangeBottom).pop() ?? -1;
+  const nearEnd = items.length > 0 && lastInRange >= items.length - endThreshold;
+
+  useEffect(() => {
+    if (nearEnd && onEndReached) {
+      onEndReached();
+    }
+  }, [nearEnd, items.length, onEndReached]);
+
+  return (
+    <div
+      ref={containerRef}
+      className={className}
+      style={{ position: 'relative', height: Math.max(totalHeight - gap, 0) }}
+    >
+      {visibleIndexes.map((index) => {
+        const item = items[index];
+        const key = getKey(item);
+        return (
+          <div
+            key={key}
+            ref={getMeasureRef(key)}
+            style={{ position: 'absolute', top: offsets[index], left: 0, right: 0 }}
+          >
+            {renderItem(item, index)}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
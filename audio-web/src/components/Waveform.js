@@ -0,0 +1,201 @@
+"use client";
+import React, { useEffect, useRef, useState } from 'react';
+import { usePlayer } from '@/context/PlayerContext';
+import { getPeaks } from '@/utils/waveform';
+import styles from '../styles/waveform.module.css';
+
+const PLAYED_COLOR = '#3b82f6';
+const UNPLAYED_COLOR = '#cbd5e1';
+const BAR_WIDTH = 2;
+const BAR_GAP = 1;
+
+// Arrow keys move the playback by this much
+const KEYBOARD_SEEK_STEP = 5; // seconds
+
+/**
+ * Draw the peaks as vertical bars, the bars before `progress` in the played color
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on
+ * @param {Array<number>} peaks - The peaks, between 0 and 1
+ * @param {number} progress - The played fraction, between 0 and 1
+ */
+const drawWaveform = (canvas, peaks, progress) => {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+  }
+
+  const context = canvas.getContext('2d');
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, width, height);
+
+  const barCount = Math.max(Math.floor(width / (BAR_WIDTH + BAR_GAP)), 1);
+  const middle = height / 2;
+
+  for (let bar = 0; bar < barCount; bar++) {
+    // Each bar shows the loudest peak of its share of the waveform
+    const start = Math.floor((bar / barCount) * peaks.length);
+    const end = Math.max(Math.floor(((bar + 1) / barCount) * peaks.length), start + 1);
+    let peak = 0;
+    for (let i = start; i < end && i < peaks.length; i++) {
+      if (peaks[i] > peak) peak = peaks[i];
+    }
+
+    const barHeight = Math.max(peak * height, 1);
+    context.fillStyle = bar / barCount < progress ? PLAYED_COLOR : UNPLAYED_COLOR;
+    context.fillRect(bar * (BAR_WIDTH + BAR_GAP), middle - barHeight / 2, BAR_WIDTH, barHeight);
+  }
+};
+
+/**
+ * Waveform of a track, shown in the expanded card of the audio library.
+ *
+ * While the track plays in the player bar the played part is highlighted; clicking seeks the
+ * player, or starts the track at that point when it is not the one playing.
+ *
+ * @param {Object} props
+ * @param {Object} props.track - The audio file, as formatted by the audio page
+ * @param {Function} props.onPlay - Starts the track: (startAt) => void, `startAt` being a fraction of its duration
+ */
+export default function Waveform({ track, onPlay }) {
+  const { currentTrack, audioElement } = usePlayer();
+  const canvasRef = useRef(null);
+  const [peaks, setPeaks] = useState(null);
+  const [status, setStatus] = useState('loading');
+  // Drawn on every animation frame, so kept out of the state; `percent` is only for screen readers
+  const progressRef = useRef(0);
+  const [percent, setPercent] = useState(0);
+  const isCurrent = currentTrack?.id === track.id && !!audioElement;
+
+  // Load the peaks, cached by getPeaks so reopening the card is instant
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('loading');
+
+    getPeaks(track.fileName, { duration: track.durationSeconds ?? null })
+      .then((result) => {
+        if (cancelled) return;
+        setPeaks(result);
+        setStatus('ready');
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Error loading waveform:", err);
+        setStatus('error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [track.fileName, track.durationSeconds]);
+
+  // Draw when the peaks arrive and whenever the card changes width
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !peaks) return;
+
+    const redraw = () => drawWaveform(canvas, peaks, progressRef.current);
+    redraw();
+    const observer = new ResizeObserver(redraw);
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [peaks]);
+
+  // Follow the playback position while this track is the one in the player bar
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const redraw = () => {
+      if (canvas && peaks) drawWaveform(canvas, peaks, progressRef.current);
+    };
+
+    if (!isCurrent) {
+      progressRef.current = 0;
+      setPercent(0);
+      redraw();
+      return;
+    }
+
+    let frame = null;
+    const readProgress = () => {
+      const { currentTime, duration } = audioElement;
+      progressRef.current = duration > 0 && Number.isFinite(duration) ? currentTime / duration : 0;
+    };
+    // Animate smoothly while playing, timeupdate alone only fires a few times per second
+    const tick = () => {
+      readProgress();
+      redraw();
+      frame = audioElement.paused ? null : requestAnimationFrame(tick);
+    };
+    const handleTimeUpdate = () => {
+      readProgress();
+      setPercent(Math.round(progressRef.current * 100));
+      if (frame === null) tick();
+    };
+
+    handleTimeUpdate();
+    audioElement.addEventListener('play', handleTimeUpdate);
+    audioElement.addEventListener('seeked', handleTimeUpdate);
+    audioElement.addEventListener('timeupdate', handleTimeUpdate);
+
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      audioElement.removeEventListener('play', handleTimeUpdate);
+      audioElement.removeEventListener('seeked', handleTimeUpdate);
+      audioElement.removeEventListener('timeupdate', handleTimeUpdate);
+    };
+  }, [isCurrent, audioElement, peaks]);
+
+  /**
+   * Seeks to the clicked position.
+   *
+   * @param {MouseEvent} e - The click event of the canvas.
+   */
+  const handleClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+
+    if (isCurrent && Number.isFinite(audioElement.duration)) {
+      audioElement.currentTime = fraction * audioElement.duration;
+      if (audioElement.paused) audioElement.play().catch(() => {});
+    } else {
+      onPlay(fraction);
+    }
+  };
+
+  /**
+   * Moves the playback with the arrow keys while this track is playing.
+   *
+   * @param {KeyboardEvent} e - The keydown event of the canvas.
+   */
+  const handleKeyDown = (e) => {
+    if (!isCurrent || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+    e.preventDefault();
+    const step = e.key === 'ArrowLeft' ? -KEYBOARD_SEEK_STEP : KEYBOARD_SEEK_STEP;
+    audioElement.currentTime = Math.min(Math.max(audioElement.currentTime + step, 0), audioElement.duration || 0);
+  };
+
+  if (status === 'error') {
+    return <p className={styles.waveformMessage}>Waveform not available for this file.</p>;
+  }
+
+  return (
+    <div className={styles.waveform}>
+      {status === 'loading' && <p className={styles.waveformMessage}>Loading waveform...</p>}
+      <canvas
+        ref={canvasRef}
+        className={styles.waveformCanvas}
+        hidden={status !== 'ready'}
+        onClick={handleClick}
+        onKeyDown={handleKeyDown}
+        tabIndex={0}
+        role="slider"
+        aria-label={`Seek in ${track.title}`}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+      />
+    </div>
+  );
+}
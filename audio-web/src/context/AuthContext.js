@@ -0,0 +1,149 @@
+"use client";
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import {
+  getCurrentUser,
+  getStoredUsername,
+  isAuthenticated,
+  logout as clearSession,
+  saveSession,
+  scheduleSessionExpiry,
+  startAuthSync,
+} from '@/utils/auth';
+import { login as loginRequest } from '@/utils/api';
+import { normalizeRole } from '@/utils/roles';
+
+const AuthContext = createContext(null);
+
+/**
+ * Provides the auth state to the whole app. This is the only place that listens to the
+ * 'login'/'logout' window events dispatched by utils/auth.js (token validation, expiry,
+ * failed refreshes and other tabs), so pages read the state through `useAuth` instead.
+ *
+ * `status` is 'loading' until the first check finishes, then 'authenticated' or 'unauthenticated'.
+ * `userError` is set when the stored session was kept but the user could not be loaded, so the
+ * role is unknown.
+ */
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [username, setUsername] = useState('');
+  const [status, setStatus] = useState('loading');
+  const [userError, setUserError] = useState(false);
+
+  /**
+   * Loads the current user from /users/me (cached by getCurrentUser) and updates the state.
+   * A failed request that did not clear the token (e.g. the server is unreachable) keeps the
+   * stored session, the same fallback the navbar used before.
+   *
+   * @param {boolean} forceRefresh - Whether to bypass the user cache
+   * @returns {Promise<Object|null>} The user, or null if it could not be loaded
+   */
+  const loadUser = useCallback(async (forceRefresh = false) => {
+    const currentUser = await getCurrentUser(forceRefresh);
+
+    if (currentUser) {
+      setUser(currentUser);
+      setUsername(currentUser.username || getStoredUsername());
+      setStatus('authenticated');
+      setUserError(false);
+      // Timers do not survive a page reload, schedule them for the stored token
+      scheduleSessionExpiry();
+    } else if (isAuthenticated()) {
+      setUsername(getStoredUsername());
+      setStatus('authenticated');
+      setUserError(true);
+    } else {
+      setUser(null);
+      setUsername('');
+      setStatus('unauthenticated');
+      setUserError(false);
+    }
+
+    return currentUser;
+  }, []);
+
+  useEffect(() => {
+    // Update UI immediately with what we have in the auth storage, then validate with the server
+    if (isAuthenticated()) {
+      setUsername(getStoredUsername());
+      setStatus('authenticated');
+    }
+    loadUser();
+
+    const handleLoginEvent = () => {
+      loadUser();
+    };
+
+    const handleLogoutEvent = () => {
+      setUser(null);
+      setUsername('');
+      setStatus('unauthenticated');
+      setUserError(false);
+    };
+
+    // Re-dispatches logins and logouts from other tabs as window events
+    const stopAuthSync = startAuthSync();
+
+    window.addEventListener('login', handleLoginEvent);
+    window.addEventListener('logout', handleLogoutEvent);
+
+    return () => {
+      stopAuthSync();
+      window.removeEventListener('login', handleLoginEvent);
+      window.removeEventListener('logout', handleLogoutEvent);
+    };
+  }, [loadUser]);
+
+  /**
+   * Logs in and stores the session
+   * @param {string} name - The username
+   * @param {string} password - The password
+   * @param {Object} options - Login options
+   * @param {boolean} options.remember - Keep the session across tabs and browser restarts
+   * @returns {Promise<Object|null>} The logged in user
+   * @throws {ApiError} If the credentials are rejected or the server cannot be reached
+   */
+  const login = useCallback(async (name, password, { remember = false } = {}) => {
+    const tokens = await loginRequest(name, password);
+    saveSession(tokens, name, { remember });
+    return loadUser(true);
+  }, [loadUser]);
+
+  /**
+   * Logs out and clears the session. utils/auth.js dispatches 'logout', which resets the state.
+   */
+  const logout = useCallback(() => {
+    clearSession();
+  }, []);
+
+  /**
+   * Reloads the user from the server, bypassing the cache
+   * @returns {Promise<Object|null>} The user, or null if the session is no longer valid
+   */
+  const refreshUser = useCallback(() => loadUser(true), [loadUser]);
+
+  const value = useMemo(() => ({
+    user,
+    username,
+    role: normalizeRole(user?.role),
+    status,
+    userError,
+    login,
+    logout,
+    refreshUser,
+  }), [user, username, status, userError, login, logout, refreshUser]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+/**
+ * Read the auth state provided by `AuthProvider`
+ * `role` is normalized to one of ROLES in utils/roles.js.
+ * @returns {{user: Object|null, username: string, role: string|null, status: string, userError: boolean, login: Function, logout: Function, refreshUser: Function}}
+ */
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
@@ -0,0 +1,302 @@
+"use client";
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { useAuth } from '@/context/AuthContext';
+
+const PlayerContext = createContext(null);
+
+// Repeat modes, cycled in this order by the repeat button
+export const REPEAT_MODES = ['off', 'all', 'one'];
+
+// How many played tracks "previous" can go back through
+const MAX_HISTORY = 50;
+
+const EMPTY_PLAYBACK = {
+  current: null,   // the track being played
+  upNext: [],      // tracks added with "Add to queue", played before the rest of the view
+  context: [],     // the library view the current track was started from
+  order: [],       // play order of the `context` indexes, shuffled when shuffle is on
+  position: -1,    // position of the current track in `order`, -1 when it is not from the view
+  history: [],     // previously played tracks, most recent last
+  playId: 0,       // incremented whenever a track starts, so replaying the same track restarts it
+  startAt: 0,      // where the current track starts, as a fraction of its duration
+};
+
+/**
+ * Build the play order of a library view
+ * @param {number} length - Number of tracks in the view
+ * @param {boolean} shuffle - Whether to shuffle the order
+ * @param {number} startIndex - Index of the track that plays first when shuffled
+ * @returns {Array<number>} The track indexes in play order
+ */
+const buildOrder = (length, shuffle, startIndex = 0) => {
+  const order = Array.from({ length }, (_, index) => index);
+  if (!shuffle) return order;
+
+  const rest = order.filter(index => index !== startIndex);
+  for (let i = rest.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [rest[i], rest[j]] = [rest[j], rest[i]];
+  }
+  return startIndex >= 0 && startIndex < length ? [startIndex, ...rest] : rest;
+};
+
+/**
+ * Add the current track to the history before switching to another one
+ * @param {Object} playback - The playback state
+ * @returns {Array} The new history
+ */
+const pushHistory = (playback) => {
+  if (!playback.current) return playback.history;
+  return [...playback.history, playback.current].slice(-MAX_HISTORY);
+};
+
+/**
+ * Switch to another track, keeping the current one in the history
+ * @param {Object} playback - The playback state
+ * @param {Object} track - The track to play
+ * @param {Object} changes - Other state changes, e.g. the new position
+ * @returns {Object} The new playback state
+ */
+const startTrack = (playback, track, changes = {}) => ({
+  ...playback,
+  startAt: 0,
+  ...changes,
+  current: track,
+  history: pushHistory(playback),
+  playId: playback.playId + 1,
+});
+
+/**
+ * Provides the play queue to the whole app. It is mounted in RootLayout next to the player bar,
+ * so playback survives navigation between pages; the bar plays `currentTrack` and calls
+ * `playNext` when it ends.
+ *
+ * Next plays the queued tracks first, then continues through the library view the current
+ * track was started from, following shuffle and repeat.
+ */
+export function PlayerProvider({ children }) {
+  const { status } = useAuth();
+  const [playback, setPlayback] = useState(EMPTY_PLAYBACK);
+  const [shuffle, setShuffle] = useState(false);
+  const [repeat, setRepeat] = useState('off');
+  // The <audio> element of the player bar, for components that follow or seek the playback
+  const [audioElement, setAudioElement] = useState(null);
+  // The spectrum analyzer of a play: 'loading' while the stream is reloaded with CORS, then
+  // 'ready', or 'unavailable' when the backend does not send CORS headers
+  const [analyzer, setAnalyzer] = useState({ playId: null, status: 'idle' });
+
+  // Stream URLs need a session, stop playing when the user logs out
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      setPlayback(EMPTY_PLAYBACK);
+    }
+  }, [status]);
+
+  /**
+   * Plays a track and makes the list it was picked from the library view to continue with
+   * @param {Object} track - The track to play, as formatted by the audio page
+   * @param {Array} tracks - The tracks of the current view, defaults to just this track
+   * @param {Object} options - Playback options
+   * @param {number} options.startAt - Where to start, as a fraction of the duration (e.g. a waveform click)
+   */
+  const playTrack = useCallback((track, tracks = [track], { startAt = 0 } = {}) => {
+    const index = tracks.findIndex(item => item.id === track.id);
+    const context = index === -1 ? [track] : tracks;
+    const startIndex = Math.max(index, 0);
+    const order = buildOrder(context.length, shuffle, startIndex);
+
+    setPlayback(prev => startTrack(prev, track, {
+      context,
+      order,
+      position: order.indexOf(startIndex),
+      startAt,
+    }));
+  }, [shuffle]);
+
+  /**
+   * Adds a track to the end of the queue, or plays it right away if nothing is playing
+   * @param {Object} track - The track to queue
+   */
+  const addToQueue = useCallback((track) => {
+    setPlayback(prev => {
+      if (!prev.current) {
+        return startTrack(prev, track, { context: [track], order: [0], position: 0 });
+      }
+      return { ...prev, upNext: [...prev.upNext, track] };
+    });
+  }, []);
+
+  /**
+   * Removes a track from the queue
+   * @param {number} index - Position of the track in `upNext`
+   */
+  const removeFromQueue = useCallback((index) => {
+    setPlayback(prev => ({ ...prev, upNext: prev.upNext.filter((_, i) => i !== index) }));
+  }, []);
+
+  // Empties the queue, the library view keeps playing
+  const clearQueue = useCallback(() => {
+    setPlayback(prev => ({ ...prev, upNext: [] }));
+  }, []);
+
+  /**
+   * Skips to the next track: the queue first, then the library view.
+   * At the end of the view it starts over when repeating all, otherwise it stays on the last track.
+   */
+  const playNext = useCallback(() => {
+    setPlayback(prev => {
+      if (prev.upNext.length > 0) {
+        // Queued tracks are played in between, the position in the view is kept
+        const [next, ...upNext] = prev.upNext;
+        return startTrack(prev, next, { upNext });
+      }
+
+      let { order, position } = prev;
+      if (position + 1 < order.length) {
+        position += 1;
+      } else if (repeat === 'all' && prev.context.length > 0) {
+        order = buildOrder(prev.context.length, shuffle);
+        position = 0;
+      } else {
+        return prev;
+      }
+
+      return startTrack(prev, prev.context[order[position]], { order, position });
+    });
+  }, [repeat, shuffle]);
+
+  // Goes back to the previously played track
+  const playPrevious = useCallback(() => {
+    setPlayback(prev => {
+      if (prev.history.length === 0) return prev;
+
+      const previous = prev.history[prev.history.length - 1];
+      const index = prev.context.findIndex(item => item.id === previous.id);
+      return {
+        ...prev,
+        current: previous,
+        position: index === -1 ? prev.position : prev.order.indexOf(index),
+        history: prev.history.slice(0, -1),
+        playId: prev.playId + 1,
+      };
+    });
+  }, []);
+
+  /**
+   * Turns shuffle on or off. The rest of the view is reordered, the current track keeps playing.
+   */
+  const toggleShuffle = useCallback(() => {
+    const enabled = !shuffle;
+    setShuffle(enabled);
+    setPlayback(prev => {
+      if (prev.context.length === 0) return prev;
+
+      const currentIndex = prev.position >= 0 ? prev.order[prev.position] : 0;
+      const order = buildOrder(prev.context.length, enabled, currentIndex);
+      return { ...prev, order, position: order.indexOf(currentIndex) };
+    });
+  }, [shuffle]);
+
+  // Switches to the next repeat mode: off, all, one
+  const cycleRepeat = useCallback(() => {
+    setRepeat(mode => REPEAT_MODES[(REPEAT_MODES.indexOf(mode) + 1) % REPEAT_MODES.length]);
+  }, []);
+
+  /**
+   * Removes a file from the queue, the view and the history, e.g. after it was deleted.
+   * Playback stops if it is the current track.
+   * @param {string} fileName - The file name of the track
+   */
+  const removeTrack = useCallback((fileName) => {
+    setPlayback(prev => {
+      if (prev.current?.fileName === fileName) {
+        return { ...EMPTY_PLAYBACK, playId: prev.playId + 1 };
+      }
+
+      const currentIndex = prev.position >= 0 ? prev.order[prev.position] : -1;
+      const currentId = currentIndex >= 0 ? prev.context[currentIndex]?.id : null;
+      const context = prev.context.filter(item => item.fileName !== fileName);
+      const newIndex = context.findIndex(item => item.id === currentId);
+      const order = buildOrder(context.length, shuffle, newIndex);
+
+      return {
+        ...prev,
+        upNext: prev.upNext.filter(item => item.fileName !== fileName),
+        history: prev.history.filter(item => item.fileName !== fileName),
+        context,
+        order,
+        position: newIndex === -1 ? -1 : order.indexOf(newIndex),
+      };
+    });
+  }, [shuffle]);
+
+  // Stops playback and clears the queue
+  const stop = useCallback(() => {
+    setPlayback(EMPTY_PLAYBACK);
+  }, []);
+
+  /**
+   * Asks the player bar to load the current track with CORS, which the analyzer needs to read
+   * its samples. Streams are loaded without it otherwise, so playback does not depend on the
+   * backend sending CORS headers.
+   */
+  const requestAnalyzer = useCallback(() => {
+    const { playId } = playback;
+    setAnalyzer(prev => (prev.playId === playId ? prev : { playId, status: 'loading' }));
+  }, [playback]);
+
+  /**
+   * Records whether the stream of a play could be loaded with CORS
+   * @param {number} playId - The play the stream belongs to
+   * @param {string} status - 'ready' or 'unavailable'
+   */
+  const setAnalyzerStatus = useCallback((playId, status) => {
+    setAnalyzer(prev => (prev.playId === playId ? { playId, status } : prev));
+  }, []);
+
+  const value = useMemo(() => ({
+    currentTrack: playback.current,
+    playId: playback.playId,
+    startAt: playback.startAt,
+    audioElement,
+    registerAudioElement: setAudioElement,
+    analyzerStatus: analyzer.playId === playback.playId ? analyzer.status : 'idle',
+    requestAnalyzer,
+    setAnalyzerStatus,
+    upNext: playback.upNext,
+    hasNext: playback.upNext.length > 0
+      || playback.position + 1 < playback.order.length
+      || (repeat === 'all' && playback.context.length > 0),
+    hasPrevious: playback.history.length > 0,
+    shuffle,
+    repeat,
+    playTrack,
+    addToQueue,
+    removeFromQueue,
+    clearQueue,
+    playNext,
+    playPrevious,
+    toggleShuffle,
+    cycleRepeat,
+    removeTrack,
+    stop,
+  }), [
+    playback, shuffle, repeat, audioElement, analyzer, playTrack, addToQueue, removeFromQueue,
+    clearQueue, playNext, playPrevious, toggleShuffle, cycleRepeat, removeTrack, stop,
+    requestAnalyzer, setAnalyzerStatus,
+  ]);
+
+  return <PlayerContext.Provider value={value}>{children}</PlayerContext.Provider>;
+}
+
+/**
+ * Read the play queue provided by `PlayerProvider`
+ * @returns {Object} The current track, the queue and the playback controls
+ */
+export const usePlayer = () => {
+  const context = useContext(PlayerContext);
+  if (!context) {
+    throw new Error('usePlayer must be used within a PlayerProvider');
+  }
+  return context;
+};
@@ -0,0 +1,88 @@
+"use client";
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { readDroppedFiles } from '@/utils/uploads';
+
+/**
+ * Whether a drag carries files, as opposed to text or a link dragged within the page
+ * @param {DragEvent} e - The drag event
+ * @returns {boolean} True for files
+ */
+const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+/**
+ * Accepts files and folders dropped on an element, or anywhere on the page.
+ *
+ * Spread `dropProps` on the drop target, or pass `global` to listen on the whole window
+ * instead. `dragging` is true while files are dragged over the target, to highlight it.
+ *
+ * @param {Function} onDrop - Called with the dropped files, see readDroppedFiles
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether drops are accepted
+ * @param {boolean} options.global - Accept drops anywhere on the page
+ * @returns {{dragging: boolean, dropProps: Object}} The drag state and the element handlers
+ */
+export const useFileDrop = (onDrop, { enabled = true, global = false } = {}) => {
+  const [dragging, setDragging] = useState(false);
+  // dragenter and dragleave fire for every child element crossed, only the balance counts
+  const depthRef = useRef(0);
+  const onDropRef = useRef(onDrop);
+
+  useEffect(() => {
+    onDropRef.current = onDrop;
+  }, [onDrop]);
+
+  const handleDragEnter = useCallback((e) => {
+    if (!enabled || !hasFiles(e)) return;
+    e.preventDefault();
+    depthRef.current += 1;
+    setDragging(true);
+  }, [enabled]);
+
+  const handleDragOver = useCallback((e) => {
+    if (!enabled || !hasFiles(e)) return;
+    // Without this the browser opens the file instead of dropping it
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  }, [enabled]);
+
+  const handleDragLeave = useCallback((e) => {
+    if (!enabled || !hasFiles(e)) return;
+    depthRef.current = Math.max(depthRef.current - 1, 0);
+    if (depthRef.current === 0) setDragging(false);
+  }, [enabled]);
+
+  const handleDrop = useCallback((e) => {
+    if (!enabled || !hasFiles(e)) return;
+    e.preventDefault();
+    depthRef.current = 0;
+    setDragging(false);
+
+    readDroppedFiles(e.dataTransfer)
+      .then(files => onDropRef.current(files))
+      .catch(err => console.error('Could not read the dropped files:', err));
+  }, [enabled]);
+
+  useEffect(() => {
+    if (!global) return;
+
+    window.addEventListener('dragenter', handleDragEnter);
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('dragleave', handleDragLeave);
+    window.addEventListener('drop', handleDrop);
+    return () => {
+      window.removeEventListener('dragenter', handleDragEnter);
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('dragleave', handleDragLeave);
+      window.removeEventListener('drop', handleDrop);
+    };
+  }, [global, handleDragEnter, handleDragOver, handleDragLeave, handleDrop]);
+
+  const dropProps = global ? {} : {
+    onDragEnter: handleDragEnter,
+    onDragOver: handleDragOver,
+    onDragLeave: handleDragLeave,
+    onDrop: handleDrop,
+  };
+
+  return { dragging, dropProps };
+};
@@ -0,0 +1,180 @@
+"use client";
+import { useCallback, useEffect, useState } from 'react';
+import { listPlaylists, createPlaylist, updatePlaylist, deletePlaylist } from '@/utils/api';
+
+/**
+ * The part of an audio file stored in a playlist. Playlists keep their own copy of the title and
+ * artist so they can be shown and played without loading the whole library.
+ * @param {Object} audio - An audio file as formatted by the audio page
+ * @returns {Object} The playlist track
+ */
+export const toPlaylistTrack = (audio) => ({
+  id: audio.id,
+  fileName: audio.fileName,
+  title: audio.title,
+  artist: audio.artist,
+  duration: audio.duration,
+});
+
+/**
+ * Move an item of an array to another position
+ * @param {Array} items - The array
+ * @param {number} from - Index of the item to move
+ * @param {number} to - Index to move it to
+ * @returns {Array} A new array
+ */
+const moveItem = (items, from, to) => {
+  const result = [...items];
+  const [item] = result.splice(from, 1);
+  result.splice(to, 0, item);
+  return result;
+};
+
+/**
+ * Loads the playlists of the current user and keeps them in sync with the server.
+ *
+ * Changes are applied locally first so dragging tracks feels instant; if the server rejects
+ * a change the playlists are reloaded and the error is thrown to the caller.
+ *
+ * @returns {Object} `playlists`, `loading`, `error` and the playlist actions
+ */
+export const usePlaylists = () => {
+  const [playlists, setPlaylists] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Loads the playlists from the server
+  const reload = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await listPlaylists();
+      setPlaylists(Array.isArray(data) ? data : []);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching playlists:', err);
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  /**
+   * Saves a changed playlist, showing the change right away
+   * @param {Object} playlist - The changed playlist
+   * @returns {Promise<Object>} The playlist as saved by the server
+   */
+  const save = useCallback(async (playlist) => {
+    setPlaylists(prev => prev.map(item => (item.id === playlist.id ? playlist : item)));
+
+    try {
+      const saved = await updatePlaylist(playlist);
+      const result = saved && saved.id ? saved : playlist;
+      setPlaylists(prev => prev.map(item => (item.id === playlist.id ? result : item)));
+      return result;
+    } catch (err) {
+      reload();
+      throw err;
+    }
+  }, [reload]);
+
+  /**
+   * Finds a playlist by id, throws if it no longer exists
+   * @param {string} id - The playlist id
+   * @returns {Object} The playlist
+   */
+  const findPlaylist = useCallback((id) => {
+    // Select values are strings, the server may use numeric ids
+    const playlist = playlists.find(item => String(item.id) === String(id));
+    if (!playlist) {
+      throw new Error('This playlist no longer exists');
+    }
+    return playlist;
+  }, [playlists]);
+
+  /**
+   * Creates a playlist
+   * @param {string} name - The playlist name
+   * @param {Array} tracks - Tracks to start with, as returned by `toPlaylistTrack`
+   * @returns {Promise<Object>} The created playlist
+   */
+  const create = useCallback(async (name, tracks = []) => {
+    const playlist = await createPlaylist({ name: name.trim(), tracks });
+    setPlaylists(prev => [...prev, { tracks: [], ...playlist }]);
+    return playlist;
+  }, []);
+
+  /**
+   * Renames a playlist
+   * @param {string} id - The playlist id
+   * @param {string} name - The new name
+   * @returns {Promise<Object>} The renamed playlist
+   */
+  const rename = useCallback(async (id, name) => {
+    return save({ ...findPlaylist(id), name: name.trim() });
+  }, [findPlaylist, save]);
+
+  /**
+   * Deletes a playlist, the audio files in it are kept
+   * @param {string} id - The playlist id
+   */
+  const remove = useCallback(async (id) => {
+    await deletePlaylist(id);
+    setPlaylists(prev => prev.filter(item => item.id !== id));
+  }, []);
+
+  /**
+   * Adds an audio file to the end of a playlist, files already in it are not added twice
+   * @param {string} id - The playlist id
+   * @param {Object} audio - The audio file
+   * @returns {Promise<boolean>} False if the file was already in the playlist
+   */
+  const addTrack = useCallback(async (id, audio) => {
+    const playlist = findPlaylist(id);
+    const tracks = playlist.tracks || [];
+    if (tracks.some(track => track.fileName === audio.fileName)) return false;
+
+    await save({ ...playlist, tracks: [...tracks, toPlaylistTrack(audio)] });
+    return true;
+  }, [findPlaylist, save]);
+
+  /**
+   * Removes a track from a playlist
+   * @param {string} id - The playlist id
+   * @param {number} index - Position of the track in the playlist
+   * @returns {Promise<Object>} The changed playlist
+   */
+  const removeTrack = useCallback(async (id, index) => {
+    const playlist = findPlaylist(id);
+    return save({ ...playlist, tracks: playlist.tracks.filter((_, i) => i !== index) });
+  }, [findPlaylist, save]);
+
+  /**
+   * Moves a track to another position, used by drag-and-drop on the playlists page
+   * @param {string} id - The playlist id
+   * @param {number} from - Current position of the track
+   * @param {number} to - New position of the track
+   * @returns {Promise<Object>} The changed playlist
+   */
+  const moveTrack = useCallback(async (id, from, to) => {
+    const playlist = findPlaylist(id);
+    if (from === to) return playlist;
+    return save({ ...playlist, tracks: moveItem(playlist.tracks, from, to) });
+  }, [findPlaylist, save]);
+
+  return {
+    playlists,
+    loading,
+    error,
+    reload,
+    create,
+    rename,
+    remove,
+    addTrack,
+    removeTrack,
+    moveTrack,
+  };
+};
@@ -0,0 +1,466 @@
+"use client";
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { uploadFile, ApiError } from '@/utils/api';
+import { readAudioTags } from '@/utils/audioTags';
+import { getCategoryForGenre } from '@/utils/audioCategories';
+import { inspectAudioFile } from '@/utils/audioFormat';
+import { hashFile } from '@/utils/fileHash';
+import {
+  shouldTranscode,
+  getTranscodeKey,
+  getTrimmedLength,
+  getUploadName,
+  transcodeFile,
+} from '@/utils/transcode';
+import {
+  EMPTY_TAGS,
+  readAudioDuration,
+  getRelativeFolder,
+  getUploadFolder,
+  buildUploadMetadata,
+  buildUploadFormData,
+} from '@/utils/uploads';
+import { uploadResumable, discardResumableUpload, CHUNKED_UPLOAD_THRESHOLD } from '@/utils/resumableUpload';
+import {
+  UPLOAD_RULES,
+  isAcceptedFile,
+  validateAudioFile,
+  getDuplicateKey,
+  loadFolderFileKeys,
+  loadLibraryHashes,
+} from '@/utils/uploadValidation';
+
+// Where a file is in the queue
+export const UPLOAD_STATUS = {
+  READING: 'reading', // its tags, duration and format are being read
+  READY: 'ready', // waiting to be uploaded
+  CONVERTING: 'converting', // being converted before it is sent, see transcodeFile
+  UPLOADING: 'uploading',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled', // stopped by the user, a large file resumes where it stopped
+  INVALID: 'invalid', // breaks the upload rules, see `problems`
+};
+
+/**
+ * Whether the duplicate checks of a waiting file are still running
+ * @param {Object} item - The queue item
+ * @returns {boolean} True while its folder is listed or its content hashed
+ */
+export const isChecking = (item) => (
+  item.status === UPLOAD_STATUS.READY && (!item.duplicateChecked || !item.hashChecked)
+);
+
+/**
+ * Whether a queued file can be sent: it is waiting, has the category the backend requires and
+ * does not clash with a file of the same name or content, unless the user chose what to do
+ * @param {Object} item - The queue item
+ * @returns {boolean} True if the file can be uploaded
+ */
+export const isUploadable = (item) => (
+  item.status === UPLOAD_STATUS.READY
+  && !!item.category
+  && !isChecking(item)
+  && (!item.duplicate || item.allowDuplicate)
+  && (!item.hashMatch || !!item.hashAction)
+);
+
+/**
+ * Queue of files to upload, sent a few at a time.
+ *
+ * Each file gets its own metadata, prefilled from its tags, and its own progress and status.
+ * Once started the queue keeps sending files until none is waiting, including files added
+ * meanwhile; failed and cancelled files stay in the queue to be retried. Files from
+ * CHUNKED_UPLOAD_THRESHOLD up are sent in chunks, so a dropped connection only costs the chunk
+ * being sent.
+ *
+ * Files are checked against the upload rules before anything is sent: their content must be an
+ * accepted audio format matching their extension, within the size, duration and sample rate
+ * limits. Files breaking a rule stay in the queue as INVALID with the reasons. The names are
+ * compared with the files already in the destination folder and with the rest of the queue, the
+ * returned items carry `duplicate` (why the name clashes, or null) and `duplicateChecked`.
+ * The SHA-256 of each file is computed by a worker and sent with it; a file of the library with
+ * the same hash is set as `hashMatch`, and the file waits until the user sets `hashAction` to
+ * one of HASH_ACTIONS or removes it. The library is listed once per batch of added files,
+ * `hashIncomplete` is set when it has more files than could be listed.
+ *
+ * With `transcode` set, lossless files are converted right before they are sent. A file with a
+ * `trim` range (`start`, `end`, `fadeIn` and `fadeOut` in seconds) is cut and encoded again the
+ * same way, see transcodeFile. The converted file is kept as `converted` so a retry does not
+ * convert it again.
+ *
+ * @param {Object} options
+ * @param {string} options.folder - The destination folder of the batch
+ * @param {number} options.concurrency - How many files are sent at the same time
+ * @param {Function} options.onUnauthorized - Called when the server rejects the session
+ * @param {Object} options.rules - The upload rules, UPLOAD_RULES by default
+ * @param {Object|null} options.transcode - `format` and `bitrate` to convert lossless files to,
+ *   null to send every file as it is
+ * @returns {Object} `items`, `running`, `counts` and the queue actions
+ */
+export const useUploadQueue = ({ folder, concurrency, onUnauthorized, rules = UPLOAD_RULES, transcode = null }) => {
+  const [queue, setQueue] = useState([]);
+  const [running, setRunning] = useState(false);
+  // Duplicate keys of the files already in each destination folder, by folder path
+  const [folderKeys, setFolderKeys] = useState(() => new Map());
+  // Folders whose files were requested, each is listed once per visit
+  const listedFoldersRef = useRef(new Set());
+  const nextIdRef = useRef(1);
+  // Ids of the files already handed to uploadFile, so a render never starts one twice
+  const startedRef = useRef(new Set());
+  // Abort controllers of the files being sent, by item id
+  const controllersRef = useRef(new Map());
+  // Read when an upload starts, not when it was queued
+  const optionsRef = useRef({ folder, onUnauthorized, transcode });
+
+  useEffect(() => {
+    optionsRef.current = { folder, onUnauthorized, transcode };
+  }, [folder, onUnauthorized, transcode]);
+
+  // Leaving the page aborts the uploads in progress, chunked ones resume when the file is added again
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => controllers.forEach(controller => controller.abort());
+  }, []);
+
+  /**
+   * Changes a queued file
+   * @param {number} id - The item id
+   * @param {Object|Function} changes - The changed fields, or a function of the item returning them
+   */
+  const updateItem = useCallback((id, changes) => {
+    setQueue(prev => prev.map(item => (
+      item.id === id ? { ...item, ...(typeof changes === 'function' ? changes(item) : changes) } : item
+    )));
+  }, []);
+
+  /**
+   * Reads the tags, the duration and the format of a newly added file and checks it against the
+   * upload rules. Fields the user already filled in are kept.
+   * @param {number} id - The item id
+   * @param {File} file - The audio file
+   */
+  const readMetadata = useCallback(async (id, file) => {
+    const [{ picture, ...found }, length, { format, sampleRate }] = await Promise.all([
+      readAudioTags(file),
+      readAudioDuration(file).catch(() => null),
+      inspectAudioFile(file).catch(() => ({ format: null, sampleRate: null })),
+    ]);
+    const problems = validateAudioFile({ file, format, sampleRate, length }, rules);
+
+    updateItem(id, item => ({
+      status: problems.length > 0 ? UPLOAD_STATUS.INVALID : UPLOAD_STATUS.READY,
+      problems,
+      format,
+      sampleRate,
+      tags: Object.fromEntries(Object.keys(EMPTY_TAGS).map(name => [name, item.tags[name] || found[name]])),
+      cover: item.cover || picture,
+      extractedCover: picture,
+      category: item.category || getCategoryForGenre(found.genre),
+      length,
+      warning: length === null ? 'Could not read audio file length' : null,
+    }));
+  }, [updateItem, rules]);
+
+  /**
+   * Hashes a newly added file and looks for a file of the library with the same content. The
+   * file is not held back when this fails, e.g. in a browser without workers.
+   * @param {number} id - The item id
+   * @param {File} file - The audio file
+   * @param {Promise<Object|null>} libraryHashes - The hashes of the library, shared by the batch,
+   *   see loadLibraryHashes; null if they could not be listed
+   */
+  const checkContent = useCallback(async (id, file, libraryHashes) => {
+    try {
+      const hash = await hashFile(file, { onProgress: hashProgress => updateItem(id, { hashProgress }) });
+      const library = await libraryHashes;
+      updateItem(id, {
+        hash,
+        hashMatch: library?.files.get(hash) || null,
+        hashChecked: true,
+        hashIncomplete: !!library && !library.complete,
+      });
+    } catch (err) {
+      console.warn(`Could not hash ${file.name}:`, err.message);
+      updateItem(id, { hashChecked: true });
+    }
+  }, [updateItem]);
+
+  /**
+   * Adds files to the queue. Files without the extension of an accepted format are left out.
+   * @param {FileList|Array<File|{file: File, subfolder: string}>} fileList - The selected files,
+   *   possibly a whole directory, or dropped files with their subfolder
+   * @param {Object} defaults - `category` and `description` for the new files
+   * @returns {{added: number, skipped: number}} How many files were queued and left out
+   */
+  const addFiles = useCallback((fileList, defaults = {}) => {
+    const files = Array.from(fileList).map(entry => (
+      entry instanceof File ? { file: entry, subfolder: getRelativeFolder(entry) } : entry
+    ));
+    const audioFiles = files.filter(({ file }) => isAcceptedFile(file, rules));
+
+    const newItems = audioFiles.map(({ file, subfolder }) => ({
+      id: nextIdRef.current++,
+      file,
+      subfolder,
+      status: UPLOAD_STATUS.READING,
+      problems: [],
+      allowDuplicate: rules.allowDuplicates,
+      hash: null,
+      hashProgress: 0,
+      hashChecked: false,
+      hashMatch: null,
+      hashAction: null,
+      hashIncomplete: false,
+      format: null,
+      sampleRate: null,
+      trim: null,
+      converted: null,
+      progress: 0,
+      error: null,
+      warning: null,
+      filename: null,
+      tags: EMPTY_TAGS,
+      cover: null,
+      extractedCover: null,
+      category: defaults.category || '',
+      description: defaults.description || '',
+      length: null,
+    }));
+
+    // Listed while the files are hashed, once for the whole batch
+    const libraryHashes = newItems.length > 0
+      ? loadLibraryHashes().catch((err) => {
+        console.warn('Could not look for files with the same content:', err.message);
+        return null;
+      })
+      : null;
+
+    setQueue(prev => [...prev, ...newItems]);
+    newItems.forEach((item) => {
+      readMetadata(item.id, item.file);
+      checkContent(item.id, item.file, libraryHashes);
+    });
+    return { added: newItems.length, skipped: files.length - audioFiles.length };
+  }, [readMetadata, checkContent, rules]);
+
+  // Lists the destination folders of the queued files for the duplicate check
+  useEffect(() => {
+    queue
+      .filter(item => item.status !== UPLOAD_STATUS.DONE && item.status !== UPLOAD_STATUS.INVALID)
+      .map(item => getUploadFolder(item, folder))
+      .filter(path => !listedFoldersRef.current.has(path))
+      .forEach((path) => {
+        listedFoldersRef.current.add(path);
+        loadFolderFileKeys(path)
+          .catch((err) => {
+            // A folder that does not exist yet has no files to clash with
+            console.warn(`Could not list ${path || 'the root folder'}:`, err.message);
+            return new Set();
+          })
+          .then(keys => setFolderKeys(prev => new Map(prev).set(path, keys)));
+      });
+  }, [queue, folder]);
+
+  // The queue with the duplicate check: a name clashes with a file in its destination folder,
+  // or with a file earlier in the queue going to the same folder
+  const items = useMemo(() => {
+    const queued = new Set();
+    return queue.map((item) => {
+      if (item.status === UPLOAD_STATUS.INVALID) {
+        return { ...item, duplicate: null, duplicateChecked: true };
+      }
+
+      const destination = getUploadFolder(item, folder);
+      const key = getDuplicateKey(destination, getUploadName(item, transcode));
+      const existing = folderKeys.get(destination);
+      let duplicate = null;
+      // Files being sent or sent already were checked when they started
+      if (![UPLOAD_STATUS.CONVERTING, UPLOAD_STATUS.UPLOADING, UPLOAD_STATUS.DONE].includes(item.status)) {
+        if (existing?.has(key)) {
+          duplicate = `A file with this name is already in ${destination || 'the root folder'}`;
+        } else if (queued.has(key)) {
+          duplicate = 'Another file in the queue has the same name';
+        }
+      }
+      queued.add(key);
+
+      return { ...item, duplicate, duplicateChecked: !!existing };
+    });
+  }, [queue, folder, folderKeys, transcode]);
+
+  /**
+   * Converts one file if the conversion settings say so, then sends it
+   * @param {Object} item - The queue item
+   */
+  const uploadItem = useCallback(async (item) => {
+    const controller = new AbortController();
+    const { folder: batchFolder, transcode } = optionsRef.current;
+    const uploadFolder = getUploadFolder(item, batchFolder);
+    const transcodeKey = getTranscodeKey(item, transcode);
+    const convert = shouldTranscode(item, transcode) && item.converted?.key !== transcodeKey;
+    startedRef.current.add(item.id);
+    controllersRef.current.set(item.id, controller);
+    updateItem(item.id, {
+      status: convert ? UPLOAD_STATUS.CONVERTING : UPLOAD_STATUS.UPLOADING,
+      progress: 0,
+      error: null,
+      warning: null,
+      uploadFolder,
+    });
+
+    const onProgress = progress => updateItem(item.id, { progress, warning: null });
+    let upload = item;
+    // Named in the error message when a step fails
+    let stage = 'Upload';
+
+    try {
+      if (convert) {
+        stage = 'Conversion';
+        const file = await transcodeFile(item, transcode, { onProgress, signal: controller.signal });
+        stage = 'Upload';
+        updateItem(item.id, { status: UPLOAD_STATUS.UPLOADING, progress: 0, converted: { key: transcodeKey, file } });
+        upload = { ...item, file, length: getTrimmedLength(item) };
+      } else if (shouldTranscode(item, transcode)) {
+        upload = { ...item, file: item.converted.file, length: getTrimmedLength(item) };
+      }
+
+      const response = upload.file.size >= CHUNKED_UPLOAD_THRESHOLD
+        ? await uploadResumable(upload.file, buildUploadMetadata(upload, batchFolder), {
+          folder: uploadFolder,
+          onProgress,
+          onRetry: () => updateItem(item.id, { warning: 'Connection lost, retrying...' }),
+          onSession: uploadId => updateItem(item.id, { uploadId }),
+          signal: controller.signal,
+        })
+        : await uploadFile(buildUploadFormData(upload, batchFolder), { onProgress, signal: controller.signal });
+
+      updateItem(item.id, {
+        status: UPLOAD_STATUS.DONE,
+        progress: 100,
+        filename: response.filename || upload.file.name,
+        uploadId: null,
+      });
+    } catch (err) {
+      if (err.kind === 'aborted') {
+        updateItem(item.id, { status: UPLOAD_STATUS.CANCELLED, warning: null });
+        return;
+      }
+
+      console.error('Upload error:', err);
+      updateItem(item.id, {
+        status: UPLOAD_STATUS.FAILED,
+        warning: null,
+        // Server errors already carry a readable message (the `detail` sent by the backend)
+        error: err instanceof ApiError ? err.message : `${stage} failed: ${err.message}`,
+      });
+      if (err.status === 401) {
+        setRunning(false);
+        optionsRef.current.onUnauthorized?.();
+      }
+    } finally {
+      controllersRef.current.delete(item.id);
+    }
+  }, [updateItem]);
+
+  // Starts waiting files while fewer than `concurrency` are being sent, stops when none is left
+  useEffect(() => {
+    if (!running) return;
+
+    const active = items.filter(item => item.status === UPLOAD_STATUS.CONVERTING
+      || item.status === UPLOAD_STATUS.UPLOADING).length;
+    const waiting = items.filter(item => isUploadable(item) && !startedRef.current.has(item.id));
+    const reading = items.some(item => item.status === UPLOAD_STATUS.READING || isChecking(item));
+
+    if (active === 0 && waiting.length === 0 && !reading) {
+      setRunning(false);
+      return;
+    }
+    waiting.slice(0, Math.max(concurrency - active, 0)).forEach(uploadItem);
+  }, [items, running, concurrency, uploadItem]);
+
+  // Starts sending the waiting files, cancelled ones included
+  const start = useCallback(() => {
+    setQueue(prev => prev.map((item) => {
+      if (item.status !== UPLOAD_STATUS.CANCELLED) return item;
+      startedRef.current.delete(item.id);
+      return { ...item, status: UPLOAD_STATUS.READY };
+    }));
+    setRunning(true);
+  }, []);
+
+  // Stops the queue and aborts the files being sent
+  const stop = useCallback(() => {
+    setRunning(false);
+    controllersRef.current.forEach(controller => controller.abort());
+  }, []);
+
+  /**
+   * Aborts the upload of one file
+   * @param {number} id - The item id
+   */
+  const cancelItem = useCallback((id) => {
+    controllersRef.current.get(id)?.abort();
+  }, []);
+
+  /**
+   * Puts a failed or cancelled file back in the queue and resumes sending
+   * @param {number} id - The item id
+   */
+  const retryItem = useCallback((id) => {
+    startedRef.current.delete(id);
+    updateItem(id, { status: UPLOAD_STATUS.READY, progress: 0, error: null });
+    setRunning(true);
+  }, [updateItem]);
+
+  // Puts every failed file back in the queue and resumes sending
+  const retryFailed = useCallback(() => {
+    setQueue(prev => prev.map((item) => {
+      if (item.status !== UPLOAD_STATUS.FAILED) return item;
+      startedRef.current.delete(item.id);
+      return { ...item, status: UPLOAD_STATUS.READY, progress: 0, error: null };
+    }));
+    setRunning(true);
+  }, []);
+
+  /**
+   * Removes a file that is not being sent from the queue, discarding what the server received
+   * of it when it was sent in chunks
+   * @param {number} id - The item id
+   */
+  const removeItem = useCallback((id) => {
+    const item = items.find(entry => entry.id === id);
+    if (!item || item.status === UPLOAD_STATUS.CONVERTING || item.status === UPLOAD_STATUS.UPLOADING) return;
+
+    if (item.uploadId) {
+      // The session belongs to the file that was sent, the converted one if there is one
+      discardResumableUpload(item.converted?.file || item.file, item.uploadFolder, item.uploadId);
+    }
+    setQueue(prev => prev.filter(entry => entry.id !== id));
+  }, [items]);
+
+  // Removes the uploaded files from the queue
+  const clearFinished = useCallback(() => {
+    setQueue(prev => prev.filter(item => item.status !== UPLOAD_STATUS.DONE));
+  }, []);
+
+  const counts = Object.values(UPLOAD_STATUS).reduce((result, status) => ({
+    ...result,
+    [status]: items.filter(item => item.status === status).length,
+  }), { total: items.length });
+
+  return {
+    items,
+    running,
+    counts,
+    addFiles,
+    updateItem,
+    removeItem,
+    cancelItem,
+    retryItem,
+    retryFailed,
+    clearFinished,
+    start,
+    stop,
+  };
+};
@@ -0,0 +1,654 @@
+import { authFetch, getToken, refreshAccessToken, logout } from './auth';
+
+//This config is for AWS ECS service.
+const SERVER_URL = process.env.REACT_APP_BACKEND_URL;
+
+// Default request timeout, matches the abort used by the audio page before
+const DEFAULT_TIMEOUT = 30000; // 30 seconds
+
+// A cached signed media URL is only reused while it stays valid at least this long,
+// so the first range requests of the player do not fail
+const SIGNED_URL_MIN_VALIDITY = 60000; // 1 minute
+
+// Signed media URLs by route and file: `{url, expiresAt, token}`
+const signedUrls = new Map();
+
+/**
+ * Error thrown by every API client function.
+ *
+ * `kind` tells callers what went wrong without inspecting messages:
+ * - 'http'    the server answered with a non-2xx status (`status` and `detail` are set)
+ * - 'timeout' the request was aborted because it took longer than the timeout
+ * - 'aborted' the request was aborted by the caller
+ * - 'network' the server could not be reached
+ * - 'format'  the server answered but the body was not what we expected
+ */
+export class ApiError extends Error {
+  constructor(message, { kind = 'http', status = null, detail = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+/**
+ * Group an error into what the UI should tell the user
+ * - 'network' the server could not be reached or did not answer in time, worth retrying
+ * - 'auth'    the session is over (401) or the user may not do this (403)
+ * - 'server'  the server failed or sent something unexpected, worth retrying
+ * - 'aborted' the caller cancelled the request, nothing to report
+ * @param {Error} err - The error thrown by an API function
+ * @returns {string} The error category
+ */
+export const getErrorCategory = (err) => {
+  if (!(err instanceof ApiError)) return 'server';
+  if (err.kind === 'network' || err.kind === 'timeout') return 'network';
+  if (err.kind === 'aborted') return 'aborted';
+  if (err.status === 401 || err.status === 403) return 'auth';
+  return 'server';
+};
+
+/**
+ * Build an absolute backend URL from a path
+ * @param {string} path - Path relative to the backend root, e.g. '/list-files'
+ * @returns {string} The absolute URL
+ */
+export const buildUrl = (path) => {
+  const base = (SERVER_URL || '').replace(/\/+$/, '');
+  const suffix = path.startsWith('/') ? path : `/${path}`;
+  return `${base}${suffix}`;
+};
+
+/**
+ * Strip any folder prefix from a stored file name, the backend routes only take the base name
+ * @param {string} fileName - The file name or path as returned by /list-files
+ * @returns {string} The base file name
+ */
+export const toFileKey = (fileName) => {
+  return fileName.includes('/') ? fileName.split('/').pop() : fileName;
+};
+
+/**
+ * Read the error detail from a failed response, FastAPI puts it under `detail`
+ * @param {Response} response - The failed fetch response
+ * @returns {Promise<string|null>} The detail message or null if none was sent
+ */
+const readErrorDetail = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  if (typeof data.detail === 'string') return data.detail;
+  if (typeof data.error === 'string') return data.error;
+  return null;
+};
+
+/**
+ * Core request helper used by all API functions
+ * @param {string} path - Path relative to the backend root
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.headers - Extra request headers
+ * @param {*} options.body - Request body, plain objects are sent as JSON
+ * @param {boolean} options.auth - Whether to attach the bearer token (default true)
+ * @param {string} options.responseType - 'json', 'blob', 'headers' or 'none'
+ * @param {number} options.timeout - Timeout in milliseconds, 0 disables it
+ * @param {AbortSignal} options.signal - Optional caller signal to abort the request
+ * @returns {Promise<*>} The parsed response body
+ * @throws {ApiError} When the request fails for any reason
+ */
+const request = async (path, {
+  method = 'GET',
+  headers = {},
+  body,
+  auth = true,
+  responseType = 'json',
+  timeout = DEFAULT_TIMEOUT,
+  signal,
+} = {}) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeoutId = timeout > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout)
+    : null;
+
+  const abortFromCaller = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', abortFromCaller);
+  }
+
+  const isPlainObject = body && Object.getPrototypeOf(body) === Object.prototype;
+  const options = {
+    method,
+    headers: {
+      ...(isPlainObject ? { 'Content-Type': 'application/json' } : {}),
+      ...headers,
+    },
+    body: isPlainObject ? JSON.stringify(body) : body,
+    credentials: 'include',
+    signal: controller.signal,
+  };
+
+  let response;
+  try {
+    const url = buildUrl(path);
+    response = auth ? await authFetch(url, options) : await fetch(url, options);
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw timedOut
+        ? new ApiError(`Request to ${path} timed out`, { kind: 'timeout' })
+        : new ApiError(`Request to ${path} was aborted`, { kind: 'aborted' });
+    }
+    throw new ApiError(`Could not reach the server: ${err.message}`, { kind: 'network' });
+  } finally {
+    if (timeoutId) clearTimeout(timeoutId);
+    if (signal) signal.removeEventListener('abort', abortFromCaller);
+  }
+
+  if (!response.ok) {
+    const detail = await readErrorDetail(response);
+    throw new ApiError(detail || `${response.status} ${response.statusText}`, {
+      status: response.status,
+      detail,
+    });
+  }
+
+  try {
+    if (responseType === 'blob') return await response.blob();
+    if (responseType === 'headers') return response.headers;
+    if (responseType === 'none') return null;
+    return await response.json().catch(() => ({}));
+  } catch (err) {
+    throw new ApiError(`Could not read response from ${path}: ${err.message}`, { kind: 'format' });
+  }
+};
+
+/**
+ * Log in with the OAuth2 password flow
+ * @param {string} username - The username
+ * @param {string} password - The password
+ * @returns {Promise<Object>} The token response, containing `access_token`
+ */
+export const login = (username, password) => {
+  const formData = new URLSearchParams();
+  formData.append('username', username);
+  formData.append('password', password);
+
+  return request('/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: formData,
+    auth: false,
+  });
+};
+
+/**
+ * Build a query string from the defined, non-empty values of an object
+ * @param {Object} params - The query values
+ * @returns {string} The query string including the leading '?', or '' if empty
+ */
+const toQueryString = (params) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.set(key, String(value));
+    }
+  });
+  const result = query.toString();
+  return result ? `?${result}` : '';
+};
+
+/**
+ * List one page of the audio files visible to the current user
+ *
+ * Sends `page` and `limit`, or `cursor` when the previous page returned one. Extra query values
+ * (e.g. `folder`, search and sort) are passed through for the backend to apply. A backend that does not
+ * paginate returns every file at once, which is reported as a single page.
+ *
+ * @param {Object} options - Paging and query options
+ * @param {number} options.page - Page number, starting at 1
+ * @param {number} options.limit - Files per page
+ * @param {string} options.cursor - Cursor from the previous page's `nextCursor`
+ * @returns {Promise<{files: Array, hasMore: boolean, nextCursor: string|null, total: number|null}>}
+ *   The files (file names or metadata objects) and where to continue
+ */
+export const listFiles = async ({ page = 1, limit, cursor, ...query } = {}) => {
+  const params = cursor ? { cursor, limit, ...query } : { page, limit, ...query };
+  const data = await request(`/list-files${toQueryString(params)}`);
+
+  if (!data.files || !Array.isArray(data.files)) {
+    throw new ApiError('Server response is not in the expected format', { kind: 'format' });
+  }
+
+  const nextCursor = data.next_cursor ?? data.nextCursor ?? null;
+  const total = typeof data.total === 'number' ? data.total : null;
+  let hasMore = false;
+  if (typeof data.has_more === 'boolean') {
+    hasMore = data.has_more;
+  } else if (nextCursor) {
+    hasMore = true;
+  } else if (total !== null && limit) {
+    hasMore = page * limit < total;
+  }
+
+  return { files: data.files, hasMore, nextCursor, total };
+};
+
+/**
+ * Get a short-lived signed URL of one file for a media route
+ *
+ * Media and image elements cannot send an Authorization header, and the session token must not
+ * end up in URLs, where server logs, history and Referer headers keep it. The backend signs a
+ * URL for the one file instead: `GET /<route>-url/<file>` answers `{url, expires_at}` (Unix
+ * seconds) or `{url, expires_in}` (seconds), `url` being absolute or relative to the backend.
+ * URLs are reused until shortly before they expire, by the same session only.
+ *
+ * @param {string} route - 'stream' or 'cover'
+ * @param {string} fileName - The file name or path of the audio file
+ * @param {Object} options
+ * @param {boolean} options.forceRefresh - Ask for a new URL even if a cached one is still valid
+ * @returns {Promise<string>} The signed URL
+ * @throws {ApiError} With status 401 if the session is not valid
+ */
+const getSignedUrl = async (route, fileName, { forceRefresh = false } = {}) => {
+  const key = `${route}:${toFileKey(fileName)}`;
+  const cached = signedUrls.get(key);
+  if (!forceRefresh && cached && cached.token === getToken()
+    && cached.expiresAt - Date.now() > SIGNED_URL_MIN_VALIDITY) {
+    return cached.url;
+  }
+
+  const data = await request(`/${route}-url/${encodeURIComponent(toFileKey(fileName))}`);
+  if (typeof data.url !== 'string') {
+    throw new ApiError('Server response is not in the expected format', { kind: 'format' });
+  }
+
+  const url = /^https?:\/\//.test(data.url) ? data.url : buildUrl(data.url);
+  let expiresAt = null;
+  if (typeof data.expires_at === 'number') {
+    expiresAt = data.expires_at * 1000;
+  } else if (typeof data.expires_in === 'number') {
+    expiresAt = Date.now() + data.expires_in * 1000;
+  }
+
+  // Expired URLs are dropped as new ones come in, a URL without an expiry is not reused
+  signedUrls.forEach((entry, other) => {
+    if (entry.expiresAt <= Date.now()) signedUrls.delete(other);
+  });
+  if (expiresAt === null) {
+    signedUrls.delete(key);
+  } else {
+    signedUrls.set(key, { url, expiresAt, token: getToken() });
+  }
+  return url;
+};
+
+/**
+ * Get a URL the audio element can stream from directly
+ *
+ * The URL is signed for this file by the backend, see getSignedUrl. The browser then fetches
+ * the file with HTTP range requests itself: playback starts once the first range arrives and
+ * seeking only loads the part that is needed. The backend answers range requests on the signed
+ * URL with 206 Partial Content.
+ *
+ * @param {string} fileName - The file name or path of the audio file
+ * @param {Object} options - URL options
+ * @param {boolean} options.forceRefresh - Get a new URL, e.g. after the player was rejected
+ *   because the URL expired
+ * @returns {Promise<string>} The stream URL
+ * @throws {ApiError} With status 401 if the session is not valid
+ */
+export const getStreamUrl = (fileName, options = {}) => getSignedUrl('stream', fileName, options);
+
+/**
+ * Get the URL of the cover image of an audio file, for an `<img>` element
+ *
+ * Like the stream URL it is signed for this file by the backend, see getSignedUrl. Covers are
+ * shown in long lists, the cached URLs spare a request when a card is shown again.
+ *
+ * @param {string} fileName - The file name or path of the audio file
+ * @returns {Promise<string>} The cover URL
+ * @throws {ApiError} With status 401 if the session is not valid
+ */
+export const getCoverUrl = (fileName) => getSignedUrl('cover', fileName);
+
+/**
+ * Download an audio file
+ * @param {string} fileName - The file name or path of the audio file
+ * @param {Object} options - Optional `timeout` and `signal`
+ * @returns {Promise<Blob>} The file data
+ */
+export const downloadFile = (fileName, options = {}) => {
+  return request(`/download/${encodeURIComponent(toFileKey(fileName))}`, {
+    ...options,
+    responseType: 'blob',
+  });
+};
+
+/**
+ * Get the size of an audio file without downloading it
+ * @param {string} fileName - The file name or path of the audio file
+ * @param {Object} options - Optional `timeout` and `signal`
+ * @returns {Promise<number|null>} The size in bytes, null if the server does not say
+ */
+export const getFileSize = async (fileName, options = {}) => {
+  const headers = await request(`/download/${encodeURIComponent(toFileKey(fileName))}`, {
+    ...options,
+    method: 'HEAD',
+    responseType: 'headers',
+  });
+  const size = Number(headers.get('Content-Length'));
+  return size > 0 ? size : null;
+};
+
+/**
+ * Fetch the precomputed waveform of an audio file
+ * @param {string} fileName - The file name or path of the audio file
+ * @param {Object} options - Optional `timeout` and `signal`
+ * @returns {Promise<Array<number>>} The peaks, between 0 and 1
+ * @throws {ApiError} With status 404 if the backend has no waveform for the file
+ */
+export const getWaveform = async (fileName, options = {}) => {
+  const data = await request(`/waveform/${encodeURIComponent(toFileKey(fileName))}`, options);
+
+  if (!Array.isArray(data.peaks)) {
+    throw new ApiError('Server response is not in the expected format', { kind: 'format' });
+  }
+
+  return data.peaks;
+};
+
+/**
+ * Delete an audio file
+ * @param {string} fileName - The file name or path of the audio file
+ * @returns {Promise<Object>} The server response
+ */
+export const deleteFile = async (fileName) => {
+  const result = await request(`/delete/${encodeURIComponent(toFileKey(fileName))}`, {
+    method: 'DELETE',
+  });
+
+  // The backend sometimes reports failures with a 200 and an `error` field
+  if (result && result.error) {
+    throw new ApiError(result.error, { status: 200, detail: result.error });
+  }
+
+  return result;
+};
+
+/**
+ * Send the upload request once. Uses XMLHttpRequest since fetch has no upload progress.
+ * @param {FormData} formData - The form data containing `file` and its metadata fields
+ * @param {Function} onProgress - Called with the completed percentage (0-100)
+ * @param {AbortSignal} signal - Aborts the request
+ * @returns {Promise<Object>} The server response
+ */
+const sendUpload = (formData, onProgress, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new ApiError('Upload was aborted', { kind: 'aborted' }));
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    const abort = () => xhr.abort();
+    signal?.addEventListener('abort', abort);
+    xhr.addEventListener('loadend', () => signal?.removeEventListener('abort', abort));
+
+    xhr.upload.addEventListener('progress', (event) => {
+      if (event.lengthComputable && onProgress) {
+        onProgress(Math.round((event.loaded / event.total) * 100));
+      }
+    });
+
+    xhr.addEventListener('load', () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch (e) {
+        // If response is not JSON
+      }
+
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data);
+      } else {
+        const detail = typeof data.detail === 'string' ? data.detail : null;
+        reject(new ApiError(detail || 'Upload failed', { status: xhr.status, detail }));
+      }
+    });
+
+    xhr.addEventListener('error', () => {
+      reject(new ApiError('Network error occurred while uploading', { kind: 'network' }));
+    });
+
+    xhr.addEventListener('abort', () => {
+      reject(new ApiError('Upload was aborted', { kind: 'aborted' }));
+    });
+
+    xhr.open('POST', buildUrl('/upload'));
+
+    const token = getToken();
+    if (token) {
+      xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+    }
+
+    xhr.send(formData);
+  });
+};
+
+/**
+ * Upload an audio file with its metadata
+ * XMLHttpRequest bypasses authFetch, so an expired token is refreshed and the upload retried once here.
+ * @param {FormData} formData - The form data containing `file` and its metadata fields, `folder`
+ *   sets the destination folder; the optional tag fields are `title`, `artist`, `album`, `year`,
+ *   `genre`, `track_number` and the `cover` image; `sha256` is the hash of the file as picked,
+ *   before any conversion, and `replaces`
+ *   the path of a library file with the same content the upload replaces
+ * @param {Object} options - Upload options
+ * @param {Function} options.onProgress - Called with the completed percentage (0-100)
+ * @param {AbortSignal} options.signal - Aborts the upload, which then rejects with kind 'aborted'
+ * @returns {Promise<Object>} The server response, containing `filename`
+ */
+export const uploadFile = async (formData, { onProgress, signal } = {}) => {
+  try {
+    return await sendUpload(formData, onProgress, signal);
+  } catch (err) {
+    if (err.status !== 401) throw err;
+
+    const refreshed = await refreshAccessToken();
+    if (!refreshed) {
+      logout();
+      throw err;
+    }
+
+    if (onProgress) onProgress(0);
+    return sendUpload(formData, onProgress, signal);
+  }
+};
+
+/*
+ * Chunked uploads, for recordings too large to send in one request
+ *
+ * 1. POST   /upload/chunk/init           { filename, size, folder } -> { upload_id, chunk_size, offset }
+ * 2. PUT    /upload/chunk/{id}           one chunk, with a Content-Range header -> { offset }
+ * 3. GET    /upload/chunk/{id}           -> { offset }, the bytes received so far, to resume
+ * 4. POST   /upload/chunk/{id}/complete  the metadata form fields, without `file` -> { filename }
+ *    DELETE /upload/chunk/{id}           discards an unfinished upload
+ */
+
+// A chunk gets more time than a normal request, it may be several megabytes
+const CHUNK_TIMEOUT = 120000; // 2 minutes
+
+/**
+ * Start a chunked upload
+ * @param {Object} file - `filename`, `size` in bytes and the destination `folder`
+ * @param {Object} options - Optional `signal`
+ * @returns {Promise<Object>} The session: `upload_id`, and optionally `chunk_size` and `offset`
+ */
+export const startChunkedUpload = ({ filename, size, folder }, options = {}) => {
+  return request('/upload/chunk/init', {
+    ...options,
+    method: 'POST',
+    body: { filename, size, folder },
+  });
+};
+
+/**
+ * Ask how much of a chunked upload the server has received
+ * @param {string} uploadId - The upload session id
+ * @param {Object} options - Optional `signal`
+ * @returns {Promise<number>} The number of bytes received
+ * @throws {ApiError} With status 404 when the session expired or does not exist
+ */
+export const getChunkedUploadOffset = async (uploadId, options = {}) => {
+  const data = await request(`/upload/chunk/${encodeURIComponent(uploadId)}`, options);
+  return Number(data.offset) || 0;
+};
+
+/**
+ * Send one chunk of a chunked upload
+ * @param {string} uploadId - The upload session id
+ * @param {Blob} chunk - The bytes to send
+ * @param {number} offset - Position of the chunk in the file
+ * @param {number} size - Size of the whole file
+ * @param {Object} options - Optional `signal`
+ * @returns {Promise<number>} The number of bytes received after this chunk
+ */
+export const sendChunk = async (uploadId, chunk, offset, size, options = {}) => {
+  const data = await request(`/upload/chunk/${encodeURIComponent(uploadId)}`, {
+    timeout: CHUNK_TIMEOUT,
+    ...options,
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'Content-Range': `bytes ${offset}-${offset + chunk.size - 1}/${size}`,
+    },
+    body: chunk,
+  });
+  return data.offset !== undefined ? Number(data.offset) : offset + chunk.size;
+};
+
+/**
+ * Finish a chunked upload once every byte was received
+ * @param {string} uploadId - The upload session id
+ * @param {FormData} metadata - The metadata form fields, as for uploadFile but without `file`
+ * @param {Object} options - Optional `signal`
+ * @returns {Promise<Object>} The server response, containing `filename`
+ */
+export const completeChunkedUpload = (uploadId, metadata, options = {}) => {
+  return request(`/upload/chunk/${encodeURIComponent(uploadId)}/complete`, {
+    ...options,
+    method: 'POST',
+    body: metadata,
+  });
+};
+
+/**
+ * Discard an unfinished chunked upload
+ * @param {string} uploadId - The upload session id
+ * @returns {Promise<null>}
+ */
+export const cancelChunkedUpload = (uploadId) => {
+  return request(`/upload/chunk/${encodeURIComponent(uploadId)}`, {
+    method: 'DELETE',
+    responseType: 'none',
+  });
+};
+
+/**
+ * List the folders visible to the current user
+ * @returns {Promise<Array<string>>} The folder paths, e.g. 'alice/podcasts'
+ */
+export const listFolders = async () => {
+  const data = await request('/folders/');
+  const folders = Array.isArray(data) ? data : data.folders;
+
+  if (!Array.isArray(folders)) {
+    throw new ApiError('Server response is not in the expected format', { kind: 'format' });
+  }
+
+  // Entries are either paths or objects with a `path`
+  return folders
+    .map(folder => (typeof folder === 'string' ? folder : folder?.path))
+    .filter(Boolean);
+};
+
+/**
+ * Create a folder, missing parent folders are created too
+ * @param {string} path - The folder path, starting with the owner's home folder
+ * @returns {Promise<Object>} The server response
+ */
+export const createFolder = (path) => request('/folders/create', { method: 'POST', body: { path } });
+
+/**
+ * Move an audio file to another folder
+ * @param {string} fileName - The file name or path of the audio file
+ * @param {string} folder - The destination folder path
+ * @returns {Promise<Object>} The server response, `filePath` is the new path when sent
+ */
+export const moveFile = (fileName, folder) => {
+  return request('/move', { method: 'POST', body: { file: fileName, folder } });
+};
+
+/**
+ * List the playlists of the current user
+ * @returns {Promise<Array>} The playlists: `id`, `name` and `tracks`
+ */
+export const listPlaylists = () => request('/playlists/');
+
+/**
+ * Create a playlist
+ * @param {Object} playlist - The playlist fields: `name` and optional `tracks`
+ * @returns {Promise<Object>} The created playlist, including its `id`
+ */
+export const createPlaylist = (playlist) => request('/playlists/create', { method: 'POST', body: playlist });
+
+/**
+ * Update a playlist, used to rename it and to add, remove and reorder tracks
+ * @param {Object} playlist - The playlist fields, `id` identifies the playlist
+ * @returns {Promise<Object>} The updated playlist
+ */
+export const updatePlaylist = (playlist) => {
+  return request(`/playlists/${encodeURIComponent(playlist.id)}`, { method: 'PUT', body: playlist });
+};
+
+/**
+ * Delete a playlist, the audio files in it are kept
+ * @param {string} id - The playlist id
+ * @returns {Promise<Object>} The server response
+ */
+export const deletePlaylist = (id) => {
+  return request(`/playlists/${encodeURIComponent(id)}`, { method: 'DELETE' });
+};
+
+/**
+ * List all users (admin only)
+ * @returns {Promise<Array>} The users
+ */
+export const listUsers = () => request('/users/');
+
+/**
+ * Create a user (admin only)
+ * @param {Object} user - The user fields: username, email, fullname, role, password
+ * @returns {Promise<Object>} The created user
+ */
+export const createUser = (user) => request('/users/create', { method: 'POST', body: user });
+
+/**
+ * Update a user (admin only)
+ * @param {Object} user - The user fields, `username` identifies the user
+ * @returns {Promise<Object>} The updated user
+ */
+export const updateUser = (user) => request('/users/update', { method: 'PUT', body: user });
+
+/**
+ * Delete a user (admin only)
+ * @param {string} username - The username of the user to delete
+ * @returns {Promise<Object>} The server response
+ */
+export const deleteUser = (username) => {
+  return request(`/users/${encodeURIComponent(username)}`, { method: 'DELETE' });
+};
@@ -0,0 +1,52 @@
+// Size of the FFT, gives 1024 frequency bins
+const FFT_SIZE = 2048;
+
+// One context for the whole app, browsers limit how many can be open
+let sharedContext = null;
+
+// An element can only be connected to Web Audio once, keep its nodes for the next callers
+const elementNodes = new WeakMap();
+
+/**
+ * Get the audio context shared by the analyzers, resuming it if the browser suspended it
+ * @returns {AudioContext} The audio context
+ */
+const getAudioContext = () => {
+  if (!sharedContext) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    sharedContext = new AudioContextClass();
+  }
+  if (sharedContext.state === 'suspended') {
+    sharedContext.resume().catch(() => {});
+  }
+  return sharedContext;
+};
+
+/**
+ * Get an analyser node tapping an audio element
+ *
+ * The first call routes the element through Web Audio: element -> analyser -> speakers. From
+ * then on the element only plays through the shared context, so this should be called from a
+ * user action for the context to be allowed to start. The element needs `crossOrigin` set for
+ * the analyser to see the samples of a stream from another origin, and the server must answer
+ * with CORS headers: the player bar only loads the stream that way once an analyzer asks for it.
+ *
+ * @param {HTMLMediaElement} audioElement - The playing audio element
+ * @returns {AnalyserNode} The analyser of the element
+ */
+export const getAnalyser = (audioElement) => {
+  const context = getAudioContext();
+  if (elementNodes.has(audioElement)) {
+    return elementNodes.get(audioElement).analyser;
+  }
+
+  const source = context.createMediaElementSource(audioElement);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = FFT_SIZE;
+  analyser.smoothingTimeConstant = 0.8;
+  source.connect(analyser);
+  analyser.connect(context.destination);
+
+  elementNodes.set(audioElement, { source, analyser });
+  return analyser;
+};
@@ -0,0 +1,36 @@
+// Audio categories enum, shared by the upload form and the library filters
+export const AUDIO_CATEGORIES = {
+  CLASSICAL: 'Classical',
+  POP: 'Pop',
+  JAZZ: 'Jazz',
+  SOUL: 'Soul',
+  EDM: 'EDM',
+  OTHERS: 'Others'
+};
+
+// Genres, in lower case, that belong to a category without having its name
+const GENRE_ALIASES = {
+  [AUDIO_CATEGORIES.CLASSICAL]: ['baroque', 'opera', 'orchestral', 'symphony', 'chamber', 'choral'],
+  [AUDIO_CATEGORIES.JAZZ]: ['swing', 'bebop', 'big band', 'bossa nova', 'fusion'],
+  [AUDIO_CATEGORIES.SOUL]: ['r&b', 'rnb', 'rhythm and blues', 'funk', 'motown', 'gospel'],
+  [AUDIO_CATEGORIES.EDM]: ['electronic', 'electronica', 'dance', 'house', 'techno', 'trance', 'dubstep',
+    'drum and bass', 'drum & bass', 'eurodance', 'rave', 'jungle'],
+  [AUDIO_CATEGORIES.POP]: ['top 40', 'synthpop', 'k-pop', 'j-pop'],
+};
+
+/**
+ * Find the category of a genre read from the tags of a file
+ * @param {string} genre - The genre, e.g. 'Acid Jazz' or 'Techno'
+ * @returns {string} The matching category, '' if none matches
+ */
+export const getCategoryForGenre = (genre) => {
+  const value = String(genre || '').trim().toLowerCase();
+  if (!value) return '';
+
+  const categories = Object.values(AUDIO_CATEGORIES).filter(category => category !== AUDIO_CATEGORIES.OTHERS);
+  // The category name itself, also inside a longer genre like 'Acid Jazz' or 'Pop-Folk'
+  const byName = categories.find(category => new RegExp(`\\b${category.toLowerCase()}\\b`).test(value));
+  if (byName) return byName;
+
+  return categories.find(category => (GENRE_ALIASES[category] || []).some(alias => value.includes(alias))) || '';
+};
@@ -0,0 +1,231 @@
+/**
+ * Audio container detection from the first bytes of a file
+ *
+ * The extension and the MIME type the browser reports only depend on the file name, the magic
+ * bytes tell what the file really contains. The sample rate is read from the stream header where
+ * the format makes it cheap to find.
+ */
+
+// Bytes read from the start of a file, enough to get past a typical ID3 tag with a cover
+const SNIFF_SIZE = 64 * 1024; // 64 KB
+
+// Containers the library accepts, with their usual extensions
+export const AUDIO_FORMATS = {
+  mp3: { label: 'MP3', extensions: ['mp3'] },
+  wav: { label: 'WAV', extensions: ['wav'] },
+  flac: { label: 'FLAC', extensions: ['flac'] },
+  ogg: { label: 'Ogg Vorbis / Opus', extensions: ['ogg', 'oga', 'opus'] },
+  mp4: { label: 'M4A', extensions: ['m4a', 'mp4'] },
+  aac: { label: 'AAC', extensions: ['aac'] },
+  aiff: { label: 'AIFF', extensions: ['aif', 'aiff'] },
+};
+
+// Sample rates by MPEG version (MPEG 1, 2 and 2.5) and header index
+const MPEG_SAMPLE_RATES = {
+  3: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  0: [11025, 12000, 8000],
+};
+
+// Sample rates of AAC ADTS headers by index
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const readCode = (bytes, offset, length = 4) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+const readUint32LE = (bytes, offset) => (
+  bytes[offset] + (bytes[offset + 1] << 8) + (bytes[offset + 2] << 16) + ((bytes[offset + 3] << 24) >>> 0)
+);
+
+const readUint32BE = (bytes, offset) => (
+  ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3]
+);
+
+/**
+ * Get the extension of a file name
+ * @param {string} name - The file name
+ * @returns {string} The lower case extension without the dot, '' if there is none
+ */
+export const getExtension = (name) => {
+  const match = /\.([^./]+)$/.exec(name || '');
+  return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * Find the format a file extension belongs to
+ * @param {string} name - The file name
+ * @returns {string|null} A key of AUDIO_FORMATS, null for other extensions
+ */
+export const getFormatForName = (name) => {
+  const extension = getExtension(name);
+  return Object.keys(AUDIO_FORMATS).find(format => AUDIO_FORMATS[format].extensions.includes(extension)) || null;
+};
+
+/**
+ * Get the size of the ID3v2 tag some formats start with
+ * @param {Uint8Array} bytes - The start of the file
+ * @returns {number} The tag size with its header, 0 without a tag
+ */
+const getId3Size = (bytes) => {
+  if (bytes.length < 10 || readCode(bytes, 0, 3) !== 'ID3') return 0;
+  const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+  // A footer repeats the header at the end of the tag
+  return 10 + size + (bytes[5] & 0x10 ? 10 : 0);
+};
+
+/**
+ * Check for an MPEG audio frame header
+ * @param {Uint8Array} bytes - The bytes
+ * @param {number} offset - Where the header would start
+ * @returns {number|null} The sample rate of the frame, null if there is no valid header
+ */
+const readMpegFrame = (bytes, offset) => {
+  if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) return null;
+  const version = (bytes[offset + 1] >> 3) & 0x03;
+  const layer = (bytes[offset + 1] >> 1) & 0x03;
+  const bitrate = bytes[offset + 2] >> 4;
+  const rateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  // Reserved values, not a frame
+  if (version === 1 || layer === 0 || bitrate === 0x0f || rateIndex === 3) return null;
+  return MPEG_SAMPLE_RATES[version][rateIndex];
+};
+
+/**
+ * Check for an AAC ADTS frame header
+ * @param {Uint8Array} bytes - The bytes
+ * @param {number} offset - Where the header would start
+ * @returns {number|null} The sample rate of the frame, null if there is no valid header
+ */
+const readAdtsFrame = (bytes, offset) => {
+  if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xf6) !== 0xf0) return null;
+  return AAC_SAMPLE_RATES[(bytes[offset + 2] >> 2) & 0x0f] || null;
+};
+
+/**
+ * Check that an MPEG frame is followed by another one where its length says it ends
+ * @param {Uint8Array} bytes - The bytes
+ * @param {number} offset - Where the first frame starts
+ * @returns {boolean} True if a second frame follows, or the bytes end before it would
+ */
+const hasSecondMpegFrame = (bytes, offset) => {
+  const version = (bytes[offset + 1] >> 3) & 0x03;
+  const layer = (bytes[offset + 1] >> 1) & 0x03;
+  // Bitrates in kbit/s of Layer III, the only layer used in practice
+  const bitrates = version === 3
+    ? [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+    : [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+  if (layer !== 1) return true;
+
+  const bitrate = bitrates[bytes[offset + 2] >> 4] * 1000;
+  const sampleRate = readMpegFrame(bytes, offset);
+  const padding = (bytes[offset + 2] >> 1) & 0x01;
+  if (!bitrate) return false;
+
+  const length = Math.floor(((version === 3 ? 144 : 72) * bitrate) / sampleRate) + padding;
+  if (offset + length + 4 > bytes.length) return true;
+  return readMpegFrame(bytes, offset + length) !== null;
+};
+
+/**
+ * Read the sample rate of an AIFF file, stored as an 80-bit extended float in the COMM chunk
+ * @param {Uint8Array} bytes - The start of the file
+ * @returns {number|null} The sample rate, null if the COMM chunk was not found
+ */
+const readAiffSampleRate = (bytes) => {
+  let offset = 12;
+  while (offset + 26 <= bytes.length) {
+    const size = readUint32BE(bytes, offset + 4);
+    if (readCode(bytes, offset) === 'COMM') {
+      const rate = offset + 16;
+      const exponent = (((bytes[rate] & 0x7f) << 8) | bytes[rate + 1]) - 16383;
+      return Math.round(readUint32BE(bytes, rate + 2) * Math.pow(2, exponent - 31));
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+};
+
+/**
+ * Read the sample rate of a WAV file from its fmt chunk
+ * @param {Uint8Array} bytes - The start of the file
+ * @returns {number|null} The sample rate, null if the fmt chunk was not found
+ */
+const readWavSampleRate = (bytes) => {
+  let offset = 12;
+  while (offset + 16 <= bytes.length) {
+    const size = readUint32LE(bytes, offset + 4);
+    if (readCode(bytes, offset) === 'fmt ') return readUint32LE(bytes, offset + 12);
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+};
+
+/**
+ * Read the sample rate of an OGG file from the identification header of its first stream
+ * @param {Uint8Array} bytes - The start of the file
+ * @returns {number|null} The sample rate, null for other codecs
+ */
+const readOggSampleRate = (bytes) => {
+  const packet = 27 + bytes[26];
+  if (bytes[packet] === 1 && readCode(bytes, packet + 1, 6) === 'vorbis') {
+    return readUint32LE(bytes, packet + 12);
+  }
+  if (readCode(bytes, packet, 8) === 'OpusHead') {
+    // Opus always decodes at 48 kHz, the header keeps the rate of the original recording
+    return readUint32LE(bytes, packet + 12) || 48000;
+  }
+  return null;
+};
+
+/**
+ * Inspect the first bytes of an audio file
+ *
+ * @param {File|Blob} file - The file
+ * @returns {Promise<{format: string|null, sampleRate: number|null}>} The detected format, a key of
+ *   AUDIO_FORMATS or null if the content is not a known audio format, and the sample rate in Hz
+ *   when it could be read
+ */
+export const inspectAudioFile = async (file) => {
+  const head = new Uint8Array(await file.slice(0, SNIFF_SIZE).arrayBuffer());
+
+  if (readCode(head, 0) === 'RIFF' && readCode(head, 8) === 'WAVE') {
+    return { format: 'wav', sampleRate: readWavSampleRate(head) };
+  }
+  if (readCode(head, 0) === 'FORM' && ['AIFF', 'AIFC'].includes(readCode(head, 8))) {
+    return { format: 'aiff', sampleRate: readAiffSampleRate(head) };
+  }
+  if (readCode(head, 0) === 'OggS') {
+    return { format: 'ogg', sampleRate: readOggSampleRate(head) };
+  }
+  if (readCode(head, 4) === 'ftyp') {
+    return { format: 'mp4', sampleRate: null };
+  }
+
+  // MP3, FLAC and AAC files may start with an ID3 tag, which can be larger than what was read
+  let offset = getId3Size(head);
+  let bytes = head;
+  if (offset + 4 > head.length) {
+    bytes = new Uint8Array(await file.slice(offset, offset + SNIFF_SIZE).arrayBuffer());
+    offset = 0;
+  }
+
+  if (readCode(bytes, offset) === 'fLaC') {
+    // STREAMINFO is always the first metadata block, its sample rate is 20 bits at byte 10
+    const info = offset + 8;
+    return { format: 'flac', sampleRate: (bytes[info + 10] << 12) | (bytes[info + 11] << 4) | (bytes[info + 12] >> 4) };
+  }
+
+  // Skip padding and junk before the first frame, but require two frames in a row for MP3
+  // so random bytes are not mistaken for audio
+  const limit = Math.min(bytes.length - 4, offset + 4096);
+  for (let i = offset; i < limit; i++) {
+    const adts = readAdtsFrame(bytes, i);
+    if (adts) return { format: 'aac', sampleRate: adts };
+
+    const rate = readMpegFrame(bytes, i);
+    if (rate && (getId3Size(head) > 0 || hasSecondMpegFrame(bytes, i))) {
+      return { format: 'mp3', sampleRate: rate };
+    }
+  }
+
+  return { format: null, sampleRate: null };
+};
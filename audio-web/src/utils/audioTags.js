@@ -0,0 +1,66 @@
+/**
+ * Embedded tags of audio files, read in the browser before upload
+ *
+ * Parsing is left to music-metadata, which handles ID3v1/v2, Vorbis comments (FLAC, OGG, Opus),
+ * MP4 items and the other containers it knows. It reads the file through Blob slices, so only
+ * the parts holding the tags are loaded, never the whole audio.
+ */
+import { parseBlob, selectCover } from 'music-metadata';
+
+/**
+ * Tags found in an audio file
+ * @typedef {Object} AudioTags
+ * @property {string} title
+ * @property {string} artist
+ * @property {string} album
+ * @property {string} year - The four-digit year, '' if unknown
+ * @property {string} genre
+ * @property {string} trackNumber - The track number without the total, '' if unknown
+ * @property {Blob|null} picture - The cover art, with its MIME type as the blob type
+ */
+
+/**
+ * Create an empty set of tags
+ * @returns {AudioTags} Tags with every field empty
+ */
+const emptyTags = () => ({
+  title: '',
+  artist: '',
+  album: '',
+  year: '',
+  genre: '',
+  trackNumber: '',
+  picture: null,
+});
+
+// Trim a tag value, '' when it is missing
+const clean = value => String(value ?? '').replace(/\0/g, '').trim();
+
+/**
+ * Read the embedded tags of an audio file
+ *
+ * The container is recognised from its first bytes rather than the extension. Files without
+ * tags, in an unknown format or too damaged to read give empty tags.
+ *
+ * @param {File|Blob} file - The audio file
+ * @returns {Promise<AudioTags>} The tags
+ */
+export const readAudioTags = async (file) => {
+  try {
+    const { common } = await parseBlob(file);
+    const cover = selectCover(common.picture);
+
+    return {
+      title: clean(common.title),
+      artist: clean(common.artist),
+      album: clean(common.album),
+      year: clean(common.year || common.date).match(/\d{4}/)?.[0] || '',
+      genre: clean(common.genre?.[0]),
+      trackNumber: common.track?.no ? String(common.track.no) : '',
+      picture: cover ? new Blob([cover.data], { type: cover.format }) : null,
+    };
+  } catch (err) {
+    console.warn('Could not read audio tags:', err.message);
+    return emptyTags();
+  }
+};
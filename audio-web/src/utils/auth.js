@@ -1,15 +1,245 @@
+// Keys written by the auth module; all live in the active storage strategy
+const AUTH_KEYS = ['token', 'refreshToken', 'isAuthenticated', 'username'];
+
+/**
+ * In-memory storage with the same interface as Web Storage
+ * Used when the user asks for it or when the browser blocks Web Storage (e.g. some private modes).
+ * Nothing survives a reload.
+ */
+const memoryStorage = (() => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+})();
+
+/**
+ * Available storage strategies
+ * - session: one tab, cleared when the tab closes (default)
+ * - local:   shared by all tabs and kept across browser restarts ("Remember me")
+ * - memory:  this page only, cleared on reload
+ */
+export const STORAGE_STRATEGIES = {
+  session: () => window.sessionStorage,
+  local: () => window.localStorage,
+  memory: () => memoryStorage,
+};
+
+// Explicitly selected strategy, null until setStorageStrategy is called
+let activeStrategy = null;
+
+/**
+ * Resolve a strategy name to a storage object, falling back to memory if Web Storage is blocked
+ * @param {string} name - One of the STORAGE_STRATEGIES keys
+ * @returns {Storage} The storage object
+ */
+const resolveStorage = (name) => {
+  try {
+    const storage = STORAGE_STRATEGIES[name]();
+    // Accessing a blocked storage throws here rather than on the property access
+    storage.getItem('token');
+    return storage;
+  } catch (error) {
+    return memoryStorage;
+  }
+};
+
+/**
+ * Get the name of the storage strategy currently holding auth data
+ * Without an explicit selection, a login of this tab wins over a "Remember me" token kept in
+ * localStorage, which is used otherwise.
+ * @returns {string} 'session', 'local' or 'memory'
+ */
+export const getStorageStrategy = () => {
+  if (activeStrategy) return activeStrategy;
+  if (typeof window === 'undefined') return 'session';
+  if (resolveStorage('session').getItem('token')) return 'session';
+
+  return resolveStorage('local').getItem('token') ? 'local' : 'session';
+};
+
+/**
+ * Get the storage object of the current strategy
+ * @returns {Storage} The storage object
+ */
+const authStorage = () => resolveStorage(getStorageStrategy());
+
+/**
+ * Select where auth data is stored
+ * Auth data this tab stored with the other strategies is removed so only one copy exists. The
+ * localStorage session is shared with the other tabs and left to them.
+ * @param {string} name - One of the STORAGE_STRATEGIES keys
+ */
+export const setStorageStrategy = (name) => {
+  if (!STORAGE_STRATEGIES[name]) {
+    throw new Error(`Unknown storage strategy: ${name}`);
+  }
+  if (typeof window === 'undefined') return;
+
+  Object.keys(STORAGE_STRATEGIES)
+    .filter((other) => other !== name && other !== 'local')
+    .forEach((other) => {
+      const storage = resolveStorage(other);
+      AUTH_KEYS.forEach((key) => storage.removeItem(key));
+    });
+
+  activeStrategy = name;
+};
+
+/**
+ * Get the username stored at login
+ * @returns {string} The username, or an empty string if not logged in
+ */
+export const getStoredUsername = () => {
+  if (typeof window === 'undefined') return '';
+  return authStorage().getItem('username') || '';
+};
+
 /**
  * Get the authentication token from storage
  * @returns {string|null} The authentication token or null if not found
  */
 export const getToken = () => {
   if (typeof window !== 'undefined') {
-    return sessionStorage.getItem('token') || null;
+    return authStorage().getItem('token') || null;
   }
   return null;
 };
 
-// Cache control to limit API calls
+/**
+ * Get the refresh token from storage
+ * @returns {string|null} The refresh token or null if not found
+ */
+export const getRefreshToken = () => {
+  if (typeof window !== 'undefined') {
+    return authStorage().getItem('refreshToken') || null;
+  }
+  return null;
+};
+
+/**
+ * Store the tokens returned by the /login or /refresh endpoints
+ * @param {Object} tokens - The token response
+ * @param {string} tokens.access_token - The new access token
+ * @param {string} tokens.refresh_token - The new refresh token, if the server rotated it
+ */
+export const setTokens = ({ access_token, refresh_token } = {}) => {
+  if (typeof window === 'undefined') return;
+
+  if (access_token) {
+    authStorage().setItem('token', access_token);
+  }
+  if (refresh_token) {
+    authStorage().setItem('refreshToken', refresh_token);
+  }
+
+  // A new access token means a new expiry time
+  scheduleSessionExpiry();
+};
+
+/**
+ * Decode the payload of a JWT without verifying it
+ * The signature is checked by the backend; the client only reads claims such as `exp`.
+ * @param {string} token - The JWT
+ * @returns {Object|null} The decoded payload or null if the token is not a JWT
+ */
+export const decodeToken = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    if (!payload) return null;
+
+    // JWTs use base64url without padding
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '=');
+    return JSON.parse(atob(padded));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the expiry time of a token from its `exp` claim
+ * @param {string} token - The JWT
+ * @returns {number|null} Expiry as a millisecond timestamp, or null if the token has no `exp`
+ */
+export const getTokenExpiry = (token) => {
+  if (!token) return null;
+  const payload = decodeToken(token);
+  if (!payload || typeof payload.exp !== 'number') return null;
+  return payload.exp * 1000;
+};
+
+/**
+ * Check whether a token has passed its `exp` claim
+ * @param {string} token - The JWT
+ * @returns {boolean} True if the token is expired, false if it is valid or has no `exp`
+ */
+export const isTokenExpired = (token) => {
+  const expiresAt = getTokenExpiry(token);
+  return expiresAt !== null && Date.now() >= expiresAt;
+};
+
+// How long before expiry the 'sessionexpiring' event is dispatched
+export const SESSION_WARNING_LEAD = 120000; // 2 minutes
+
+// setTimeout overflows above this delay (about 24.8 days)
+const MAX_TIMEOUT = 2147483647;
+
+let warningTimer = null;
+let expiryTimer = null;
+
+/**
+ * Clear the session warning and expiry timers
+ */
+const clearSessionTimers = () => {
+  clearTimeout(warningTimer);
+  clearTimeout(expiryTimer);
+  warningTimer = null;
+  expiryTimer = null;
+};
+
+/**
+ * Schedule the pre-expiry warning and the logout for the current token
+ * Dispatches a 'sessionexpiring' event (detail: { expiresAt }) SESSION_WARNING_LEAD before
+ * the `exp` claim, then logs out exactly at expiry and dispatches 'sessionexpired'. Safe to call repeatedly, the previous
+ * timers are replaced. Tokens without an `exp` claim are not scheduled.
+ */
+export const scheduleSessionExpiry = () => {
+  if (typeof window === 'undefined') return;
+
+  clearSessionTimers();
+
+  const expiresAt = getTokenExpiry(getToken());
+  if (expiresAt === null) return;
+
+  const remaining = expiresAt - Date.now();
+  if (remaining <= 0) {
+    logout();
+    return;
+  }
+
+  if (remaining > MAX_TIMEOUT) return;
+
+  warningTimer = setTimeout(() => {
+    window.dispatchEvent(new CustomEvent('sessionexpiring', { detail: { expiresAt } }));
+  }, Math.max(remaining - SESSION_WARNING_LEAD, 0));
+
+  expiryTimer = setTimeout(() => {
+    logout();
+    window.dispatchEvent(new Event('sessionexpired'));
+  }, remaining);
+};
+
+/**
+ * Extend the session by exchanging the refresh token for a new access token
+ * The expiry timers are rescheduled for the new token.
+ * @returns {Promise<boolean>} Promise resolving to true if the session was extended
+ */
+export const extendSession = () => refreshAccessToken();
+
+// Cache control to limit API calls for tokens that carry no `exp` claim
 let lastAuthCheck = 0;
 const AUTH_CACHE_DURATION = 60000; // 1 minute cache
 
@@ -44,12 +274,11 @@ export const getCurrentUser = async (forceRefresh = false) => {
       return userCache;
     }
 
-    // Fetch user data from API
-    const response = await fetch(`${SERVER_URL}/users/me`, {
+    // Fetch user data from API, authFetch refreshes an expired token
+    const response = await authFetch(`${SERVER_URL}/users/me`, {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
       }
     });
 
@@ -80,7 +309,9 @@ export const getCurrentUser = async (forceRefresh = false) => {
 };
 
 /**
- * Check authentication status by making a request to backend
+ * Check authentication status
+ * JWTs are checked locally against their `exp` claim. The backend is only asked on the first
+ * check of a session (to load the user) or for tokens without an `exp` claim.
  * @returns {Promise<boolean>} Promise resolving to true if authenticated, false otherwise
  */
 export const checkAuthStatus = async () => {
@@ -91,14 +322,26 @@ export const checkAuthStatus = async () => {
     // Synchronous check first - if no token, fail fast
     const token = getToken();
     if (!token) {
-      sessionStorage.removeItem('isAuthenticated');
-      sessionStorage.removeItem('username');
+      const storage = authStorage();
+      storage.removeItem('isAuthenticated');
+      storage.removeItem('username');
       return false;
     }
 
     // Check if we already have authenticated status in session
     // This helps with new tabs and refreshes
-    const storedAuthStatus = sessionStorage.getItem('isAuthenticated') === 'true';
+    const storedAuthStatus = authStorage().getItem('isAuthenticated') === 'true';
+
+    // The token says when it stops being valid, no server call needed
+    const expiresAt = getTokenExpiry(token);
+    if (expiresAt !== null) {
+      if (Date.now() >= expiresAt) {
+        logout();
+        return false;
+      }
+
+      return storedAuthStatus ? true : await validateTokenAsync(token);
+    }
 
     // Check if we've verified auth recently to avoid excessive API calls
     const now = Date.now();
@@ -122,7 +365,7 @@ export const checkAuthStatus = async () => {
     console.error('Error checking authentication:', error);
     // In case of error, fall back to session storage if possible
     if (typeof window !== 'undefined') {
-      return sessionStorage.getItem('isAuthenticated') === 'true';
+      return authStorage().getItem('isAuthenticated') === 'true';
     }
     return false;
   }
@@ -138,11 +381,11 @@ const validateTokenAsync = async (token) => {
     // Update the last check timestamp
     lastAuthCheck = Date.now();
 
-    const response = await fetch(`${SERVER_URL}/users/me`, {
+    // authFetch refreshes an expired token before we give up on the session
+    const response = await authFetch(`${SERVER_URL}/users/me`, {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
       }
     });
 
@@ -150,10 +393,10 @@ const validateTokenAsync = async (token) => {
       // User is authenticated
       const userData = await response.json();
 
-      // Store minimal user info in sessionStorage
-      sessionStorage.setItem('isAuthenticated', 'true');
+      // Store minimal user info in the auth storage
+      authStorage().setItem('isAuthenticated', 'true');
       if (userData.username) {
-        sessionStorage.setItem('username', userData.username);
+        authStorage().setItem('username', userData.username);
       }
 
       // Update user cache
@@ -171,9 +414,8 @@ const validateTokenAsync = async (token) => {
     } else {
       // User is not authenticated
       console.error('Authentication failed:', await response.text());
-      sessionStorage.removeItem('isAuthenticated');
-      sessionStorage.removeItem('username');
-      sessionStorage.removeItem('token');
+      const storage = authStorage();
+      AUTH_KEYS.forEach((key) => storage.removeItem(key));
       sessionStorage.removeItem('_authDispatchedEvent');
       userCache = null;
       return false;
@@ -207,13 +449,75 @@ export const withAuth = (options = {}) => {
   };
 };
 
+// Shared promise so concurrent 401s only trigger one refresh
+let refreshPromise = null;
+
+/**
+ * Exchange the refresh token for a new access token
+ * Concurrent callers share the same request.
+ * @returns {Promise<boolean>} Promise resolving to true if a new access token was stored
+ */
+export const refreshAccessToken = () => {
+  if (refreshPromise) return refreshPromise;
+
+  refreshPromise = (async () => {
+    try {
+      const refreshToken = getRefreshToken();
+      if (!refreshToken) return false;
+
+      const response = await fetch(`${SERVER_URL}/refresh`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({ refresh_token: refreshToken }),
+      });
+
+      if (!response.ok) {
+        console.error('Token refresh failed:', response.status);
+        return false;
+      }
+
+      const data = await response.json();
+      if (!data.access_token) return false;
+
+      setTokens(data);
+      lastAuthCheck = Date.now();
+      return true;
+    } catch (error) {
+      console.error('Error refreshing token:', error);
+      return false;
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+
+  return refreshPromise;
+};
+
 /**
  * Authenticated fetch wrapper
+ * On a 401 it tries to refresh the access token and replays the request once.
+ * If the refresh fails the user is logged out and the 401 response is returned.
  * @param {string} url - The URL to fetch
  * @param {Object} options - Fetch options
  * @returns {Promise} The fetch promise
  */
-export const authFetch = (url, options = {}) => {
+export const authFetch = async (url, options = {}) => {
+  const response = await fetch(url, withAuth(options));
+
+  if (response.status !== 401 || !getToken()) {
+    return response;
+  }
+
+  const refreshed = await refreshAccessToken();
+  if (!refreshed) {
+    logout();
+    return response;
+  }
+
+  // withAuth picks up the new token and replaces the stale Authorization header
   return fetch(url, withAuth(options));
 };
 
@@ -223,7 +527,7 @@ export const authFetch = (url, options = {}) => {
  */
 export const isAuthenticated = () => {
   if (typeof window === 'undefined') return false;
-  return !!getToken() && sessionStorage.getItem('isAuthenticated') === 'true';
+  return !!getToken() && authStorage().getItem('isAuthenticated') === 'true';
 };
 
 /**
@@ -231,12 +535,13 @@ export const isAuthenticated = () => {
  */
 export const logout = () => {
   if (typeof window !== 'undefined') {
-    sessionStorage.removeItem('token');
-    sessionStorage.removeItem('isAuthenticated');
-    sessionStorage.removeItem('username');
+    // Resolve the storage once, removing the token changes which strategy is detected
+    const storage = authStorage();
+    AUTH_KEYS.forEach((key) => storage.removeItem(key));
     sessionStorage.removeItem('_authDispatchedEvent');
 
-    // Reset caches and timestamps
+    // Reset caches, timestamps and expiry timers
+    clearSessionTimers();
     lastAuthCheck = 0;
     userCache = null;
     lastUserFetch = 0;
@@ -245,4 +550,69 @@ export const logout = () => {
     const event = new Event('logout');
     window.dispatchEvent(event);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Store a successful login
+ * @param {Object} tokens - The /login response, containing `access_token` and optionally `refresh_token`
+ * @param {string} username - The username that logged in
+ * @param {Object} options - Login options
+ * @param {boolean} options.remember - Keep the session across tabs and browser restarts
+ */
+export const saveSession = (tokens, username, { remember = false } = {}) => {
+  if (typeof window === 'undefined') return;
+
+  setStorageStrategy(remember ? 'local' : 'session');
+  setTokens(tokens);
+
+  const storage = authStorage();
+  storage.setItem('username', username);
+  // Written last: other tabs treat this key as the login signal
+  storage.setItem('isAuthenticated', 'true');
+};
+
+/**
+ * Keep tabs in sync for "Remember me" sessions, which live in localStorage
+ * Another tab logging in or out fires the `storage` event here, which is re-dispatched as the
+ * usual 'login'/'logout' window events. A tab logged in on its own, without "Remember me",
+ * keeps its session. A token refreshed in another tab reschedules expiry.
+ * @returns {Function} Call to stop listening
+ */
+export const startAuthSync = () => {
+  if (typeof window === 'undefined') return () => {};
+
+  // A "Remember me" session restored on page load is pinned now: once another tab logs out and
+  // removes the token, the strategy could no longer be told from the stored tokens
+  if (!activeStrategy && getStorageStrategy() === 'local') {
+    activeStrategy = 'local';
+  }
+
+  // Whether this tab follows the shared localStorage session rather than its own
+  const usesLocalStorage = () => getStorageStrategy() === 'local';
+  // Whether this tab is logged in with a session of its own, which other tabs leave alone
+  const hasOwnSession = () => !usesLocalStorage() && !!authStorage().getItem('token');
+
+  const handleStorage = (e) => {
+    if (e.storageArea !== resolveStorage('local')) return;
+
+    // key is null when another tab called localStorage.clear()
+    if (e.key === 'isAuthenticated' || e.key === null) {
+      userCache = null;
+      lastUserFetch = 0;
+
+      if (e.newValue === 'true') {
+        if (hasOwnSession()) return;
+        activeStrategy = 'local';
+        scheduleSessionExpiry();
+        window.dispatchEvent(new Event('login'));
+      } else if (usesLocalStorage() || (e.oldValue === 'true' && !hasOwnSession())) {
+        logout();
+      }
+    } else if (e.key === 'token' && e.newValue && usesLocalStorage()) {
+      scheduleSessionExpiry();
+    }
+  };
+
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+};
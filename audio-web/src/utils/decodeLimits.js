@@ -0,0 +1,44 @@
+/**
+ * Limits of what the browser decodes whole with the Web Audio API
+ *
+ * decodeAudioData needs the whole file in memory and gives back every sample as a 32-bit float,
+ * so a long recording takes far more memory than its file. Files over these limits are not
+ * decoded, by the upload conversion and trimming or by the library waveforms.
+ */
+
+// Largest file the browser decodes whole, its samples take several times the file size
+export const MAX_DECODE_SIZE = 50 * 1024 * 1024; // 50 MB
+// Largest size of the decoded samples, which may be copied once more after decoding
+export const MAX_DECODED_SIZE = 512 * 1024 * 1024; // 512 MB, about 25 minutes of 44.1 kHz stereo
+// The channel count is not read before decoding, the estimate assumes stereo
+const ESTIMATED_CHANNELS = 2;
+// Rate the browser decodes at when the sample rate of the file is not known
+export const DEFAULT_DECODE_RATE = 44100;
+
+/**
+ * Estimate the size of the samples of a file once the browser decoded it
+ * @param {number|null} length - The duration in seconds, null if unknown
+ * @param {number|null} sampleRate - The sample rate, null if unknown
+ * @returns {number|null} The size in bytes, null if the duration is unknown
+ */
+export const estimateDecodedSize = (length, sampleRate) => (
+  length === null || length === undefined
+    ? null
+    : length * (sampleRate || DEFAULT_DECODE_RATE) * ESTIMATED_CHANNELS * 4
+);
+
+/**
+ * Whether the browser can decode a file whole without running out of memory: both the file and
+ * its estimated decoded samples have to be small enough
+ * @param {Object} file
+ * @param {number|null} file.size - The file size in bytes, null if unknown
+ * @param {number|null} file.length - The duration in seconds, null if unknown
+ * @param {number|null} file.sampleRate - The sample rate, null if unknown
+ * @returns {boolean} True if the file is within MAX_DECODE_SIZE and MAX_DECODED_SIZE; false
+ *   when its size is unknown
+ */
+export const fitsDecodeLimits = ({ size, length = null, sampleRate = null }) => (
+  typeof size === 'number'
+  && size <= MAX_DECODE_SIZE
+  && (estimateDecodedSize(length, sampleRate) ?? 0) <= MAX_DECODED_SIZE
+);
@@ -0,0 +1,17 @@
+/**
+ * SHA-256 of files, computed by a Web Worker shared by the whole page
+ */
+import { createWorkerClient } from './workerClient';
+
+const runHashJob = createWorkerClient(() => new Worker(new URL('../workers/sha256.worker.js', import.meta.url)));
+
+/**
+ * Compute the SHA-256 of a file without blocking the page
+ *
+ * @param {File|Blob} file - The file
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the percentage of the file read
+ * @returns {Promise<string>} The hash as 64 lower case hex digits
+ * @throws {Error} If Web Workers are not available or the file cannot be read
+ */
+export const hashFile = (file, { onProgress } = {}) => runHashJob({ file }, { onProgress });
@@ -0,0 +1,105 @@
+/**
+ * Folder path helpers for the audio library
+ *
+ * Folders are '/'-separated paths without leading or trailing slashes, '' being the root.
+ * Every user has a home folder named after their username at the top level, the files they
+ * upload and the folders they create live below it (e.g. 'alice/podcasts/2024').
+ */
+
+/**
+ * Clean up a folder path: trims it and removes empty segments and '.' / '..'
+ * @param {string} path - The folder path
+ * @returns {string} The normalized path, '' for the root
+ */
+export const normalizeFolderPath = (path) => {
+  if (!path) return '';
+  return String(path)
+    .split('/')
+    .map(segment => segment.trim())
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .join('/');
+};
+
+/**
+ * Join a folder path and a child name
+ * @param {string} parent - The parent folder path
+ * @param {string} name - The child folder or file name
+ * @returns {string} The joined path
+ */
+export const joinFolderPath = (parent, name) => normalizeFolderPath(`${parent || ''}/${name || ''}`);
+
+/**
+ * Get the parent of a folder
+ * @param {string} path - The folder path
+ * @returns {string} The parent path, '' for top-level folders and the root
+ */
+export const getParentFolder = (path) => {
+  const segments = normalizeFolderPath(path).split('/').filter(Boolean);
+  return segments.slice(0, -1).join('/');
+};
+
+/**
+ * Get the folder a file is stored in
+ * @param {string} filePath - The file path, e.g. 'alice/podcasts/episode_1.mp3'
+ * @returns {string} The folder path, '' if the path has no folder
+ */
+export const getFileFolder = (filePath) => getParentFolder(filePath);
+
+/**
+ * Check whether a path is a folder or lies below it
+ * @param {string} path - The path to check
+ * @param {string} folder - The folder
+ * @returns {boolean} True if `path` is `folder` or nested in it
+ */
+export const isWithinFolder = (path, folder) => {
+  const normalizedPath = normalizeFolderPath(path);
+  const normalizedFolder = normalizeFolderPath(folder);
+  if (!normalizedFolder) return true;
+  return normalizedPath === normalizedFolder || normalizedPath.startsWith(`${normalizedFolder}/`);
+};
+
+/**
+ * Get the breadcrumbs of a folder, from the top-level folder down
+ * @param {string} path - The folder path
+ * @returns {Array<{name: string, path: string}>} One entry per folder, the root not included
+ */
+export const getBreadcrumbs = (path) => {
+  const segments = normalizeFolderPath(path).split('/').filter(Boolean);
+  return segments.map((name, index) => ({
+    name,
+    path: segments.slice(0, index + 1).join('/'),
+  }));
+};
+
+/**
+ * Complete a list of folders with the folders implied by the nested ones, e.g. 'a/b' adds 'a'
+ * @param {Array<string>} folders - Folder paths
+ * @returns {Array<string>} The sorted, unique folder paths
+ */
+export const expandFolders = (folders) => {
+  const result = new Set();
+  folders.forEach((folder) => {
+    getBreadcrumbs(folder).forEach(crumb => result.add(crumb.path));
+  });
+  return [...result].sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Get the folders directly inside a folder
+ * @param {Array<string>} folders - All folder paths, as returned by `expandFolders`
+ * @param {string} parent - The parent folder path, '' for the root
+ * @returns {Array<{name: string, path: string}>} The child folders
+ */
+export const getChildFolders = (folders, parent) => {
+  const normalizedParent = normalizeFolderPath(parent);
+  return folders
+    .filter(folder => folder !== normalizedParent && getParentFolder(folder) === normalizedParent)
+    .map(folder => ({ name: folder.split('/').pop(), path: folder }));
+};
+
+/**
+ * Get the home folder of a user
+ * @param {Object|null} user - The user from the auth context
+ * @returns {string} The home folder path, '' if there is no user
+ */
+export const getHomeFolder = (user) => normalizeFolderPath(user?.username || '');
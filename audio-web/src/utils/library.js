@@ -0,0 +1,141 @@
+/**
+ * Search, filter and sort helpers for the audio library
+ *
+ * The filters live in the URL query so filtered views can be shared:
+ * - q:        text matched against title, description and artist
+ * - category: comma separated AUDIO_CATEGORIES values
+ * - min, max: duration range in minutes
+ * - sort:     one of the SORT_OPTIONS keys, server order when absent
+ *
+ * They are passed on to /list-files as is: the backend filters and sorts the whole library,
+ * which the pages loaded so far could not.
+ */
+
+export const SORT_OPTIONS = {
+  'title-asc': 'Title (A–Z)',
+  'title-desc': 'Title (Z–A)',
+  'duration-asc': 'Shortest first',
+  'duration-desc': 'Longest first',
+  'date-desc': 'Newest first',
+  'date-asc': 'Oldest first',
+};
+
+export const EMPTY_FILTERS = {
+  q: '',
+  categories: [],
+  minMinutes: null,
+  maxMinutes: null,
+  sort: '',
+};
+
+/**
+ * Works out who uploaded a file, used to decide whether it may be deleted or moved.
+ * Files are stored below the home folder of the uploader (e.g. 'admin/podcasts/take_1.mp3')
+ * when the backend does not send the owner explicitly.
+ *
+ * @param {string|Object} file - An entry of the /list-files response
+ * @returns {string} The owner's username, or an empty string if unknown
+ */
+export const getFileOwner = (file) => {
+  if (typeof file === 'object' && file !== null && (file.owner || file.uploaded_by)) {
+    return file.owner || file.uploaded_by;
+  }
+
+  const path = typeof file === 'string' ? file : (file?.filePath || file?.fileName || '');
+  const segments = path.split('/').filter(Boolean);
+  return segments.length > 1 ? segments[0] : '';
+};
+
+/**
+ * Parse a duration sent by the backend
+ * @param {number|string} value - Seconds as a number or numeric string, or a 'm:ss' / 'h:mm:ss' string
+ * @returns {number|null} The duration in seconds, or null if unknown
+ */
+export const parseDuration = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  if (value.includes(':')) {
+    const parts = value.split(':').map(Number);
+    if (parts.some(Number.isNaN)) return null;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+
+  const seconds = Number(value);
+  return Number.isNaN(seconds) ? null : seconds;
+};
+
+/**
+ * Format a duration for display
+ * @param {number|null} seconds - The duration in seconds
+ * @returns {string} e.g. '3:05', or '--:--' if unknown
+ */
+export const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '--:--';
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Parse a number from a query param
+ * @param {string|null} value - The param value
+ * @returns {number|null} The number, or null if missing or invalid
+ */
+const parseNumberParam = (value) => {
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) || number < 0 ? null : number;
+};
+
+/**
+ * Read the library filters from the URL query
+ * @param {URLSearchParams} searchParams - The current query
+ * @returns {Object} The filters, shaped like EMPTY_FILTERS
+ */
+export const parseLibraryQuery = (searchParams) => {
+  const sort = searchParams.get('sort') || '';
+  const category = searchParams.get('category') || '';
+
+  return {
+    q: searchParams.get('q') || '',
+    categories: category ? category.split(',').filter(Boolean) : [],
+    minMinutes: parseNumberParam(searchParams.get('min')),
+    maxMinutes: parseNumberParam(searchParams.get('max')),
+    sort: SORT_OPTIONS[sort] ? sort : '',
+  };
+};
+
+/**
+ * Write library filters into a URL query, dropping empty values
+ * Params other than the filters (e.g. the current folder) are kept.
+ * @param {Object} filters - The filters, shaped like EMPTY_FILTERS
+ * @param {URLSearchParams} base - The current query
+ * @returns {string} The query string, without the leading '?'
+ */
+export const buildLibraryQuery = (filters, base = new URLSearchParams()) => {
+  const params = new URLSearchParams(base);
+  const set = (key, value) => {
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      params.delete(key);
+    } else {
+      params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+    }
+  };
+
+  set('q', filters.q.trim());
+  set('category', filters.categories);
+  set('min', filters.minMinutes);
+  set('max', filters.maxMinutes);
+  set('sort', filters.sort);
+
+  return params.toString();
+};
+
+/**
+ * Whether any filter is set
+ * @param {Object} filters - The filters, shaped like EMPTY_FILTERS
+ * @returns {boolean} True if the list is filtered or sorted
+ */
+export const hasActiveFilters = (filters) => {
+  return buildLibraryQuery(filters) !== '';
+};
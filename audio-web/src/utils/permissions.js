@@ -0,0 +1,86 @@
+import { ROLES, normalizeRole } from './roles';
+import { getHomeFolder, isWithinFolder } from './folders';
+
+/**
+ * Actions checked in the UI with `can`
+ * - upload:      upload audio files
+ * - delete:      delete an audio file, resolved to delete:own or delete:any from the file's owner
+ * - move:        move an audio file to another folder, same rule as delete
+ * - writeFolder: create folders in a folder or move files into it; the user's own home folder
+ *                with upload, any folder with delete:any
+ * - manageUsers: create, edit and delete users
+ */
+export const ACTIONS = {
+  UPLOAD: 'upload',
+  DELETE: 'delete',
+  MOVE: 'move',
+  WRITE_FOLDER: 'writeFolder',
+  MANAGE_USERS: 'manageUsers',
+};
+
+// Permissions granted to each role
+export const PERMISSIONS = {
+  UPLOAD: 'upload',
+  DELETE_OWN: 'delete:own',
+  DELETE_ANY: 'delete:any',
+  MANAGE_USERS: 'users:manage',
+};
+
+export const ROLE_PERMISSIONS = {
+  [ROLES.LISTENER]: [],
+  [ROLES.UPLOADER]: [PERMISSIONS.UPLOAD, PERMISSIONS.DELETE_OWN],
+  [ROLES.MODERATOR]: [PERMISSIONS.UPLOAD, PERMISSIONS.DELETE_OWN, PERMISSIONS.DELETE_ANY],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+/**
+ * Get the permissions of a role
+ * @param {string|null} role - The role, legacy roles are normalized
+ * @returns {string[]} The permissions, empty for unknown roles
+ */
+export const getPermissions = (role) => ROLE_PERMISSIONS[normalizeRole(role)] || [];
+
+/**
+ * Get the roles that have a permission
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {string[]} The roles
+ */
+export const getRolesWithPermission = (permission) => {
+  return Object.keys(ROLE_PERMISSIONS).filter((role) => ROLE_PERMISSIONS[role].includes(permission));
+};
+
+/**
+ * Check whether a user may perform an action
+ * These checks only decide what the UI shows, the backend enforces the same rules.
+ * @param {Object|null} user - The user from the auth context
+ * @param {string} action - One of ACTIONS
+ * @param {Object|string} resource - The object acted on: an audio file for ACTIONS.DELETE and
+ *   ACTIONS.MOVE (uses its `owner`), a folder path for ACTIONS.WRITE_FOLDER
+ * @returns {boolean} True if the action is permitted
+ */
+export const can = (user, action, resource = null) => {
+  if (!user) return false;
+
+  const permissions = getPermissions(user.role);
+
+  switch (action) {
+    case ACTIONS.UPLOAD:
+      return permissions.includes(PERMISSIONS.UPLOAD);
+    case ACTIONS.DELETE:
+    case ACTIONS.MOVE:
+      if (permissions.includes(PERMISSIONS.DELETE_ANY)) return true;
+      return permissions.includes(PERMISSIONS.DELETE_OWN)
+        && !!resource?.owner
+        && resource.owner === user.username;
+    case ACTIONS.WRITE_FOLDER:
+      if (permissions.includes(PERMISSIONS.DELETE_ANY)) return true;
+      return permissions.includes(PERMISSIONS.UPLOAD)
+        && typeof resource === 'string'
+        && isWithinFolder(resource, getHomeFolder(user))
+        && !!getHomeFolder(user);
+    case ACTIONS.MANAGE_USERS:
+      return permissions.includes(PERMISSIONS.MANAGE_USERS);
+    default:
+      return false;
+  }
+};
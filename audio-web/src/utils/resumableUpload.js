@@ -0,0 +1,202 @@
+import {
+  startChunkedUpload,
+  getChunkedUploadOffset,
+  sendChunk,
+  completeChunkedUpload,
+  cancelChunkedUpload,
+  ApiError,
+} from './api';
+
+// Files this large are sent in chunks, smaller ones in a single request
+export const CHUNKED_UPLOAD_THRESHOLD = 20 * 1024 * 1024; // 20 MB
+// Chunk size when the server does not choose one
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // 5 MB
+
+// A chunk that failed because of the connection or the server is sent again: 1s, 2s, 4s, 8s, 16s
+const MAX_CHUNK_RETRIES = 5;
+const RETRY_BASE_DELAY = 1000;
+
+// Unfinished sessions are remembered so a reload, or picking the same file again, resumes them
+const STORAGE_KEY = 'resumableUploads';
+const SESSION_MAX_AGE = 24 * 60 * 60 * 1000; // 1 day
+
+/**
+ * Identify a file upload across page loads, from what the browser knows about the file
+ * @param {File} file - The file
+ * @param {string} folder - The destination folder
+ * @returns {string} The key of the upload
+ */
+const getUploadKey = (file, folder) => [folder, file.name, file.size, file.lastModified].join(':');
+
+/**
+ * Read the remembered sessions, dropping the expired ones
+ * @returns {Object} Sessions by upload key: `{ uploadId, chunkSize, savedAt }`
+ */
+const loadSessions = () => {
+  try {
+    const sessions = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    return Object.fromEntries(
+      Object.entries(sessions).filter(([, session]) => Date.now() - session.savedAt < SESSION_MAX_AGE)
+    );
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Remember or forget the session of an upload
+ * @param {string} key - The upload key
+ * @param {string|null} uploadId - The session id, null to forget it
+ * @param {number} chunkSize - The chunk size the server chose for the session
+ */
+const saveSession = (key, uploadId, chunkSize) => {
+  const sessions = loadSessions();
+  if (uploadId) {
+    sessions[key] = { uploadId, chunkSize, savedAt: Date.now() };
+  } else {
+    delete sessions[key];
+  }
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+  } catch {
+    // Storage full or disabled, the upload still works but cannot be resumed after a reload
+  }
+};
+
+/**
+ * Wait before sending a chunk again. While the browser is offline it waits for the connection
+ * to come back instead.
+ * @param {number} attempt - The retry number, from 1
+ * @param {AbortSignal} signal - Stops waiting
+ * @returns {Promise<void>} Rejects with kind 'aborted' when the signal fires
+ */
+const waitForRetry = (attempt, signal) => {
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const done = () => {
+      clearTimeout(timer);
+      window.removeEventListener('online', done);
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    };
+    const abort = () => {
+      clearTimeout(timer);
+      window.removeEventListener('online', done);
+      reject(new ApiError('Upload was aborted', { kind: 'aborted' }));
+    };
+
+    signal?.addEventListener('abort', abort);
+    if (navigator.onLine === false) {
+      window.addEventListener('online', done);
+    } else {
+      timer = setTimeout(done, RETRY_BASE_DELAY * Math.pow(2, attempt - 1));
+    }
+  });
+};
+
+/**
+ * Whether sending a chunk again may help: the connection dropped or the server had a problem
+ * @param {Error} err - The error of the chunk request
+ * @returns {boolean} True if the chunk should be retried
+ */
+const isTransient = (err) => (
+  err instanceof ApiError && (err.kind === 'network' || err.kind === 'timeout' || err.status >= 500)
+);
+
+/**
+ * Upload a file in chunks, resuming from the last chunk the server acknowledged
+ *
+ * Chunks that fail because of the connection are retried with a growing delay, and once the
+ * browser is back online. When the retries run out the error is thrown, but the session is kept:
+ * uploading the same file to the same folder again, even after a reload, continues where it
+ * stopped.
+ *
+ * @param {File} file - The file
+ * @param {FormData} metadata - The metadata form fields, sent when every chunk arrived
+ * @param {Object} options
+ * @param {string} options.folder - The destination folder
+ * @param {Function} options.onProgress - Called with the completed percentage (0-100)
+ * @param {Function} options.onRetry - Called with the attempt number when a chunk is retried
+ * @param {Function} options.onSession - Called with the session id once it is known
+ * @param {AbortSignal} options.signal - Aborts the upload, which then rejects with kind 'aborted'
+ * @returns {Promise<Object>} The server response, containing `filename`
+ */
+export const uploadResumable = async (file, metadata, {
+  folder = '',
+  onProgress,
+  onRetry,
+  onSession,
+  signal,
+} = {}) => {
+  const key = getUploadKey(file, folder);
+  const saved = loadSessions()[key];
+  let uploadId = saved?.uploadId || null;
+  // A resumed session keeps the chunk size the server chose when it started
+  let chunkSize = Number(saved?.chunkSize) || DEFAULT_CHUNK_SIZE;
+  let offset = 0;
+
+  if (uploadId) {
+    try {
+      offset = await getChunkedUploadOffset(uploadId, { signal });
+    } catch (err) {
+      // The server no longer knows the session, start over
+      if (err.status !== 404 && err.status !== 410) throw err;
+      saveSession(key, null);
+      uploadId = null;
+    }
+  }
+
+  if (!uploadId) {
+    const session = await startChunkedUpload({ filename: file.name, size: file.size, folder }, { signal });
+    uploadId = session.upload_id;
+    chunkSize = Number(session.chunk_size) || DEFAULT_CHUNK_SIZE;
+    offset = Number(session.offset) || 0;
+    saveSession(key, uploadId, chunkSize);
+  }
+
+  onSession?.(uploadId);
+  onProgress?.(Math.round((offset / file.size) * 100));
+
+  let attempt = 0;
+  while (offset < file.size) {
+    const chunk = file.slice(offset, Math.min(offset + chunkSize, file.size));
+    try {
+      offset = await sendChunk(uploadId, chunk, offset, file.size, { signal });
+      attempt = 0;
+      onProgress?.(Math.round((offset / file.size) * 100));
+    } catch (err) {
+      if (!isTransient(err) || attempt >= MAX_CHUNK_RETRIES) throw err;
+
+      attempt++;
+      onRetry?.(attempt);
+      await waitForRetry(attempt, signal);
+      // The chunk may have arrived before the connection dropped
+      offset = await getChunkedUploadOffset(uploadId, { signal }).catch((offsetErr) => {
+        if (offsetErr.kind === 'aborted') throw offsetErr;
+        return offset;
+      });
+    }
+  }
+
+  const response = await completeChunkedUpload(uploadId, metadata, { signal });
+  saveSession(key, null);
+  return response;
+};
+
+/**
+ * Discard an unfinished chunked upload, on the server and in the remembered sessions
+ * @param {File} file - The file
+ * @param {string} folder - The destination folder
+ * @param {string} uploadId - The session id, when known
+ * @returns {Promise<void>}
+ */
+export const discardResumableUpload = async (file, folder, uploadId) => {
+  const key = getUploadKey(file, folder);
+  const id = uploadId || loadSessions()[key]?.uploadId;
+  saveSession(key, null);
+  if (!id) return;
+
+  await cancelChunkedUpload(id).catch((err) => {
+    console.warn('Could not discard the upload:', err.message);
+  });
+};
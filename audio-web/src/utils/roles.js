@@ -0,0 +1,36 @@
+/**
+ * User roles, from least to most privileged. What each role may do is defined in utils/permissions.js.
+ * - listener:  listens only
+ * - uploader:  listens, uploads and deletes their own files
+ * - moderator: uploader who may also delete anyone's files
+ * - admin:     everything, including user management
+ */
+export const ROLES = {
+  LISTENER: 'listener',
+  UPLOADER: 'uploader',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin',
+};
+
+// Labels shown in the navbar badge and role pickers
+export const ROLE_LABELS = {
+  [ROLES.LISTENER]: 'Listener',
+  [ROLES.UPLOADER]: 'Uploader',
+  [ROLES.MODERATOR]: 'Moderator',
+  [ROLES.ADMIN]: 'Admin',
+};
+
+// Accounts created before the role split have 'user', which could always upload
+const LEGACY_ROLES = {
+  user: ROLES.UPLOADER,
+};
+
+/**
+ * Map a role from the backend to one of ROLES
+ * @param {string|null} role - The role stored on the user
+ * @returns {string|null} The normalized role, or null if the user has none
+ */
+export const normalizeRole = (role) => {
+  if (!role) return null;
+  return LEGACY_ROLES[role] || role;
+};
@@ -0,0 +1,76 @@
+import { PERMISSIONS, getRolesWithPermission } from './permissions';
+
+/**
+ * Route protection config
+ *
+ * Maps a route prefix to who may open it. `roles: null` means any logged-in user,
+ * a list of roles restricts the route to those roles. Routes not listed here are public.
+ * The longest matching prefix wins, so '/users/anything' uses the '/users' entry.
+ */
+export const PROTECTED_ROUTES = {
+  '/': { roles: null },
+  '/audio': { roles: null },
+  '/playlists': { roles: null },
+  '/upload': { roles: getRolesWithPermission(PERMISSIONS.UPLOAD) },
+  '/users': { roles: getRolesWithPermission(PERMISSIONS.MANAGE_USERS) },
+};
+
+// Routes that never require a login, even though '/' matches every path
+export const PUBLIC_ROUTES = ['/login', '/about'];
+
+/**
+ * Check whether a pathname falls under a route prefix
+ * @param {string} pathname - The current pathname
+ * @param {string} route - The route prefix
+ * @returns {boolean} True if the pathname is the route or nested below it
+ */
+const matchesRoute = (pathname, route) => {
+  if (route === '/') return true;
+  return pathname === route || pathname.startsWith(`${route}/`);
+};
+
+/**
+ * Get the access rule for a pathname
+ * @param {string} pathname - The current pathname
+ * @returns {{roles: string[]|null}|null} The access rule, or null if the route is public
+ */
+export const getRouteAccess = (pathname) => {
+  if (!pathname) return null;
+  if (PUBLIC_ROUTES.some((route) => matchesRoute(pathname, route))) return null;
+
+  const match = Object.keys(PROTECTED_ROUTES)
+    .filter((route) => matchesRoute(pathname, route))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? PROTECTED_ROUTES[match] : null;
+};
+
+/**
+ * Check whether a role may open a pathname
+ * @param {string} pathname - The pathname to check
+ * @param {string|null} role - The normalized role of the current user
+ * @returns {boolean} True if the route is public, open to any logged-in user, or allows the role
+ */
+export const canAccessRoute = (pathname, role) => {
+  const access = getRouteAccess(pathname);
+  if (!access || !access.roles) return true;
+  return access.roles.includes(role);
+};
+
+// Navbar links, in display order. Links to routes the role cannot open are hidden.
+export const NAV_LINKS = [
+  { href: '/about', label: 'About' },
+  { href: '/audio', label: 'Audio' },
+  { href: '/playlists', label: 'Playlists' },
+  { href: '/upload', label: 'Upload' },
+  { href: '/users', label: 'Users' },
+];
+
+/**
+ * Get the navbar links a role may follow
+ * @param {string|null} role - The normalized role of the current user
+ * @returns {Array<{href: string, label: string}>} The visible links
+ */
+export const getNavLinks = (role) => {
+  return NAV_LINKS.filter((link) => canAccessRoute(link.href, role));
+};
@@ -0,0 +1,204 @@
+/**
+ * Conversion of lossless audio files to a compressed format before they are uploaded, and
+ * encoding of trimmed files
+ *
+ * The encoding runs in a Web Worker with WebAssembly builds of LAME and Ogg Vorbis. Only
+ * lossless files are converted: re-encoding an MP3 or AAC file would lose quality for little gain.
+ * A trimmed file has to be encoded again in any case: to the conversion format if one is chosen,
+ * otherwise to WAV if it is lossless, or to MP3 (Ogg Vorbis for Ogg files) at about its bitrate.
+ */
+import { createWorkerClient } from './workerClient';
+import { DEFAULT_DECODE_RATE, fitsDecodeLimits } from './decodeLimits';
+
+export const TRANSCODE_FORMATS = {
+  mp3: { label: 'MP3', extension: 'mp3', mimeType: 'audio/mpeg' },
+  ogg: { label: 'Ogg Vorbis', extension: 'ogg', mimeType: 'audio/ogg' },
+};
+
+// Bitrates offered in kbit/s, Ogg Vorbis gets the quality closest to each
+export const TRANSCODE_BITRATES = [96, 128, 160, 192, 256, 320];
+export const DEFAULT_BITRATE = 192;
+
+// Every format the worker writes, WAV only for trimmed lossless files
+const OUTPUT_FORMATS = {
+  ...TRANSCODE_FORMATS,
+  wav: { label: 'WAV', extension: 'wav', mimeType: 'audio/wav' },
+};
+
+// Shortest part of a file that can be kept when trimming
+export const MIN_TRIM_LENGTH = 1; // seconds
+
+// Formats worth converting, see AUDIO_FORMATS
+const LOSSLESS_FORMATS = ['wav', 'aiff', 'flac'];
+// Formats the worker reads a chunk at a time; others are decoded by the browser first, whole
+const STREAMED_FORMATS = ['wav', 'aiff'];
+
+// Bytes per second of trimmed lossless files decoded by the browser, written as 24-bit stereo WAV
+const DECODED_WAV_BYTES_PER_SECOND = 2 * 3;
+
+const runTranscodeJob = createWorkerClient(() => new Worker(new URL('../workers/transcode.worker.js', import.meta.url)));
+
+/**
+ * Whether the browser can decode a queued file whole, its samples are copied once more for the
+ * worker
+ * @param {Object} item - The queue item, with its `file`, `length` and `sampleRate`
+ * @returns {boolean} True if the file is within the limits, see fitsDecodeLimits
+ */
+const canDecodeInBrowser = (item) => fitsDecodeLimits({
+  size: item.file.size,
+  length: item.length,
+  sampleRate: item.sampleRate,
+});
+
+/**
+ * Whether the browser can trim a queued file: it decodes the whole file for the preview
+ * @param {Object} item - The queue item, see useUploadQueue
+ * @returns {boolean} True for files of a known format and duration the browser can decode,
+ *   see canDecodeInBrowser
+ */
+export const canTrim = (item) => !!item.format && item.length !== null && canDecodeInBrowser(item);
+
+/**
+ * Get the duration a file is uploaded with
+ * @param {Object} item - The queue item, with its `trim` range if it is trimmed
+ * @returns {number|null} The duration in whole seconds, null if unknown
+ */
+export const getTrimmedLength = (item) => (
+  item.trim ? Math.round(item.trim.end - item.trim.start) : item.length
+);
+
+/**
+ * Get how a queued file is encoded before it is uploaded
+ * @param {Object} item - The queue item
+ * @param {Object|null} transcode - The conversion settings, `format` and `bitrate`
+ * @returns {Object|null} `format` (a key of OUTPUT_FORMATS) and `bitrate`, null if the file is
+ *   sent as it is
+ */
+const getEncoding = (item, transcode) => {
+  const lossless = LOSSLESS_FORMATS.includes(item.format);
+  if (transcode && lossless && (STREAMED_FORMATS.includes(item.format) || canDecodeInBrowser(item))) {
+    return transcode;
+  }
+  if (!item.trim) return null;
+  if (transcode) return transcode;
+  if (lossless) return { format: 'wav', bitrate: null };
+
+  // The offered bitrate closest above the file's own, so trimming does not lower the quality
+  const bitrate = (item.file.size * 8) / 1000 / item.length;
+  return {
+    format: item.format === 'ogg' ? 'ogg' : 'mp3',
+    bitrate: TRANSCODE_BITRATES.find(option => option >= bitrate * 0.95) || TRANSCODE_BITRATES[TRANSCODE_BITRATES.length - 1],
+  };
+};
+
+/**
+ * Get the key of how a file is encoded, a converted file is reused while the key matches
+ * @param {Object} item - The queue item
+ * @param {Object|null} transcode - The conversion settings, null when files are sent as they are
+ * @returns {string} The key, '' if the file is sent as it is
+ */
+export const getTranscodeKey = (item, transcode) => {
+  const encoding = getEncoding(item, transcode);
+  if (!encoding) return '';
+  const { trim } = item;
+  return [encoding.format, encoding.bitrate, trim && `${trim.start}-${trim.end}/${trim.fadeIn}/${trim.fadeOut}`].join(':');
+};
+
+/**
+ * Whether a queued file is converted before it is uploaded
+ * @param {Object} item - The queue item, see useUploadQueue
+ * @param {Object|null} transcode - The conversion settings
+ * @returns {boolean} True for lossless files the browser can convert and for trimmed files
+ */
+export const shouldTranscode = (item, transcode) => !!getEncoding(item, transcode);
+
+/**
+ * Get the name a file is uploaded under
+ * @param {Object} item - The queue item
+ * @param {Object|null} transcode - The conversion settings
+ * @returns {string} The file name, with the extension of the converted format
+ */
+export const getUploadName = (item, transcode) => {
+  const encoding = getEncoding(item, transcode);
+  return encoding
+    ? `${item.file.name.replace(/\.[^/.]+$/, '')}.${OUTPUT_FORMATS[encoding.format].extension}`
+    : item.file.name;
+};
+
+/**
+ * Estimate the size of a file once converted
+ * @param {Object} item - The queue item
+ * @param {Object|null} transcode - The conversion settings
+ * @returns {{size: number, estimated: boolean}|null} The size in bytes, the real size once the
+ *   file is converted; null if it is not converted or its duration is unknown
+ */
+export const estimateTranscodedSize = (item, transcode) => {
+  const encoding = getEncoding(item, transcode);
+  if (!encoding) return null;
+  if (item.converted?.key === getTranscodeKey(item, transcode)) {
+    return { size: item.converted.file.size, estimated: false };
+  }
+  if (!item.length) return null;
+
+  const length = item.trim ? item.trim.end - item.trim.start : item.length;
+  if (encoding.format !== 'wav') {
+    return { size: Math.round((length * encoding.bitrate * 1000) / 8), estimated: true };
+  }
+  // Trimmed WAV and AIFF files keep their sample format, decoded FLAC files become 24-bit
+  const size = STREAMED_FORMATS.includes(item.format)
+    ? (item.file.size * length) / item.length
+    : length * (item.sampleRate || 44100) * DECODED_WAV_BYTES_PER_SECOND;
+  return { size: Math.round(size), estimated: true };
+};
+
+/**
+ * Decode a file with the browser, at its own sample rate
+ * @param {Object} item - The queue item, with its `file`, `length` and `sampleRate`
+ * @returns {Promise<{sampleRate: number, channels: Array<Float32Array>}>} The samples of each channel
+ * @throws {Error} If the file is too large to be decoded whole, see canDecodeInBrowser
+ */
+const decodeInBrowser = async (item) => {
+  if (!canDecodeInBrowser(item)) {
+    throw new Error('The file is too long to be decoded in the browser');
+  }
+  // decodeAudioData resamples to the rate of the context
+  const context = new OfflineAudioContext(1, 1, item.sampleRate || DEFAULT_DECODE_RATE);
+  const buffer = await context.decodeAudioData(await item.file.arrayBuffer());
+  return {
+    sampleRate: buffer.sampleRate,
+    // Copied, the channel data of an AudioBuffer cannot be transferred to the worker
+    channels: Array.from({ length: buffer.numberOfChannels }, (_, index) => new Float32Array(buffer.getChannelData(index))),
+  };
+};
+
+/**
+ * Convert a queued file
+ *
+ * The duration stays the same unless the file is trimmed, the tags and cover are written to
+ * converted MP3 files and are sent with the upload in any case.
+ *
+ * @param {Object} item - The queue item, with its `format`, `sampleRate`, `tags`, `cover` and `trim`
+ * @param {Object|null} transcode - `format` (a key of TRANSCODE_FORMATS) and `bitrate` in kbit/s
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the converted percentage
+ * @param {AbortSignal} options.signal - Stops the conversion, which then rejects with kind 'aborted'
+ * @returns {Promise<File>} The converted file, named by getUploadName
+ */
+export const transcodeFile = async (item, transcode, { onProgress, signal } = {}) => {
+  const encoding = getEncoding(item, transcode);
+  const message = { ...encoding, tags: item.tags, cover: item.cover, trim: item.trim || null };
+  let transfer = [];
+
+  if (STREAMED_FORMATS.includes(item.format)) {
+    message.file = item.file;
+  } else {
+    message.pcm = await decodeInBrowser(item);
+    transfer = message.pcm.channels.map(channel => channel.buffer);
+  }
+
+  const blob = await runTranscodeJob(message, { onProgress, signal, transfer });
+  return new File([blob], getUploadName(item, transcode), {
+    type: OUTPUT_FORMATS[encoding.format].mimeType,
+    lastModified: item.file.lastModified,
+  });
+};
@@ -0,0 +1,207 @@
+import { listFiles, toFileKey } from './api';
+import { AUDIO_FORMATS, getFormatForName } from './audioFormat';
+import { getFileFolder, joinFolderPath, normalizeFolderPath } from './folders';
+import { getFileOwner } from './library';
+import { formatSize } from './uploads';
+
+// Files per request and most requests made when listing files for the duplicate checks
+const LIST_PAGE_SIZE = 200;
+const MAX_LIST_PAGES = 25;
+
+/**
+ * Read a positive number from an env value
+ * @param {string|undefined} value - The env value
+ * @param {number} fallback - Used when the value is missing or not a positive number
+ * @returns {number} The number
+ */
+const readLimit = (value, fallback) => {
+  const number = Number(value);
+  return value && Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * What a file must be to be uploaded, checked before anything is sent
+ *
+ * Each rule can be changed with an env flag, read at build time: Next only inlines
+ * NEXT_PUBLIC_ variables into the browser bundle.
+ * - NEXT_PUBLIC_UPLOAD_FORMATS: comma-separated keys of AUDIO_FORMATS, e.g. 'mp3,flac'
+ * - NEXT_PUBLIC_UPLOAD_MAX_SIZE_MB
+ * - NEXT_PUBLIC_UPLOAD_MAX_DURATION_MINUTES
+ * - NEXT_PUBLIC_UPLOAD_MIN_SAMPLE_RATE: in Hz
+ * - NEXT_PUBLIC_UPLOAD_ALLOW_DUPLICATES: 'true' to only warn about names already in the folder
+ */
+export const UPLOAD_RULES = {
+  formats: process.env.NEXT_PUBLIC_UPLOAD_FORMATS
+    ? process.env.NEXT_PUBLIC_UPLOAD_FORMATS.split(',').map(format => format.trim()).filter(format => AUDIO_FORMATS[format])
+    : Object.keys(AUDIO_FORMATS),
+  maxFileSize: readLimit(process.env.NEXT_PUBLIC_UPLOAD_MAX_SIZE_MB, 2048) * 1024 * 1024,
+  maxDuration: readLimit(process.env.NEXT_PUBLIC_UPLOAD_MAX_DURATION_MINUTES, 240) * 60,
+  minSampleRate: readLimit(process.env.NEXT_PUBLIC_UPLOAD_MIN_SAMPLE_RATE, 22050),
+  allowDuplicates: process.env.NEXT_PUBLIC_UPLOAD_ALLOW_DUPLICATES === 'true',
+};
+
+/**
+ * Format a duration for messages
+ * @param {number} seconds - The duration
+ * @returns {string} e.g. '90 minutes', '4 hours'
+ */
+const formatDuration = (seconds) => {
+  const minutes = seconds / 60;
+  return minutes >= 120 && minutes % 60 === 0 ? `${minutes / 60} hours` : `${+minutes.toFixed(1)} minutes`;
+};
+
+/**
+ * Get the extensions of the accepted formats, for the `accept` attribute of file inputs
+ * @param {Object} rules - The upload rules
+ * @returns {string} e.g. '.mp3,.wav'
+ */
+export const getAcceptedExtensions = (rules = UPLOAD_RULES) => (
+  rules.formats.flatMap(format => AUDIO_FORMATS[format].extensions).map(extension => `.${extension}`).join(',')
+);
+
+/**
+ * Describe the rules for the upload form
+ * @param {Object} rules - The upload rules
+ * @returns {string} e.g. 'MP3, WAV or FLAC, up to 2 GB and 4 hours, at least 22.05 kHz'
+ */
+export const describeRules = (rules = UPLOAD_RULES) => {
+  const labels = rules.formats.map(format => AUDIO_FORMATS[format].label);
+  const formats = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}` : labels[0];
+  return `${formats}, up to ${formatSize(rules.maxFileSize)} and ${formatDuration(rules.maxDuration)}, `
+    + `at least ${rules.minSampleRate / 1000} kHz`;
+};
+
+/**
+ * Whether a file has the extension of an accepted format. Other files are left out of the queue
+ * without a message for each, e.g. the images and playlists of a dropped album folder.
+ * @param {File} file - The file
+ * @param {Object} rules - The upload rules
+ * @returns {boolean} True if the file is worth inspecting
+ */
+export const isAcceptedFile = (file, rules = UPLOAD_RULES) => rules.formats.includes(getFormatForName(file.name));
+
+/**
+ * Check a file against the upload rules
+ *
+ * @param {Object} details - What is known about the file
+ * @param {File} details.file - The file
+ * @param {string|null} details.format - The format found in its content, see inspectAudioFile
+ * @param {number|null} details.sampleRate - Its sample rate, null if unknown
+ * @param {number|null} details.length - Its duration in seconds, null if unknown
+ * @param {Object} rules - The upload rules
+ * @returns {Array<string>} Why the file cannot be uploaded, empty if it can
+ */
+export const validateAudioFile = ({ file, format, sampleRate, length }, rules = UPLOAD_RULES) => {
+  const problems = [];
+  const expected = getFormatForName(file.name);
+
+  if (!format) {
+    problems.push('The file content is not a supported audio format');
+  } else if (!rules.formats.includes(format)) {
+    problems.push(`${AUDIO_FORMATS[format].label} files are not accepted`);
+  } else if (format !== expected) {
+    problems.push(`The file is ${AUDIO_FORMATS[format].label} audio but its name ends in .${AUDIO_FORMATS[expected].extensions[0]}`);
+  }
+  if (file.size > rules.maxFileSize) {
+    problems.push(`The file is larger than ${formatSize(rules.maxFileSize)}`);
+  }
+  if (length !== null && length > rules.maxDuration) {
+    problems.push(`The audio is longer than ${formatDuration(rules.maxDuration)}`);
+  }
+  if (sampleRate && sampleRate < rules.minSampleRate) {
+    problems.push(`The sample rate (${sampleRate / 1000} kHz) is below ${rules.minSampleRate / 1000} kHz`);
+  }
+
+  return problems;
+};
+
+/**
+ * Get the key a file is compared with for duplicates, names differing only in case clash on
+ * some storage backends
+ * @param {string} folder - The folder of the file
+ * @param {string} name - The file name
+ * @returns {string} The key
+ */
+export const getDuplicateKey = (folder, name) => joinFolderPath(folder, name).toLowerCase();
+
+/**
+ * Get the path of an entry of the /list-files response
+ * @param {string|Object} file - The entry
+ * @returns {string} Its path, or its name when the backend does not send the path
+ */
+const getEntryPath = (file) => (typeof file === 'string' ? file : (file?.filePath || file?.fileName || ''));
+
+/**
+ * List files page by page until `visit` returns true or there are no more pages
+ * @param {Object} query - Query values for listFiles
+ * @param {Function} visit - Called with each file, returns true to stop
+ * @returns {Promise<boolean>} False if it stopped after MAX_LIST_PAGES with files left unlisted
+ */
+const scanFiles = async (query, visit) => {
+  let page = 1;
+  let cursor = null;
+
+  for (let count = 0; count < MAX_LIST_PAGES; count++) {
+    const result = await listFiles({ ...query, limit: LIST_PAGE_SIZE, page, cursor: cursor || undefined });
+    if (result.files.some(visit) || !result.hasMore) return true;
+    page += 1;
+    cursor = result.nextCursor;
+  }
+  return false;
+};
+
+/**
+ * Load the keys of the files already in a folder, to find uploads that would clash with them
+ *
+ * Lists the folder page by page; files the backend returns from other folders are ignored.
+ *
+ * @param {string} folder - The folder path, '' for the root
+ * @returns {Promise<Set<string>>} The duplicate keys of the files in the folder
+ */
+export const loadFolderFileKeys = async (folder) => {
+  const keys = new Set();
+
+  await scanFiles({ folder }, (file) => {
+    const path = getEntryPath(file);
+    // Bare names are files of the folder that was listed
+    const fileFolder = path.includes('/')
+      ? getFileFolder(path)
+      : normalizeFolderPath(file?.folder) || folder;
+    if (path && fileFolder === folder) {
+      keys.add(getDuplicateKey(fileFolder, toFileKey(path)));
+    }
+    return false;
+  });
+
+  return keys;
+};
+
+/**
+ * Load the SHA-256 sent with each file of the library, to find uploads with the same content
+ *
+ * The whole library is listed in one go, meant to be shared by every file of a batch. Past
+ * MAX_LIST_PAGES pages the rest is left out and `complete` is false.
+ *
+ * @returns {Promise<{files: Map<string, Object>, complete: boolean}>} The files by hash, each
+ *   with `fileName`, `filePath`, `folder`, `title` and `owner`, and whether every file was listed
+ */
+export const loadLibraryHashes = async () => {
+  const files = new Map();
+
+  const complete = await scanFiles({ recursive: 'true' }, (file) => {
+    const hash = typeof file === 'object' && file ? (file.sha256 || file.hash || '').toLowerCase() : '';
+    if (!hash || files.has(hash)) return false;
+
+    const path = getEntryPath(file);
+    files.set(hash, {
+      fileName: file.fileName || toFileKey(path),
+      filePath: file.filePath || '',
+      folder: normalizeFolderPath(file.folder) || getFileFolder(path),
+      title: file.title || toFileKey(path).replace(/\.[^/.]+$/, ''),
+      owner: getFileOwner(file),
+    });
+    return false;
+  });
+
+  return { files, complete };
+};
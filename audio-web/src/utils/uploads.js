@@ -0,0 +1,222 @@
+import { joinFolderPath } from './folders';
+
+// Tags read from the file and sent with it, editable before the upload
+export const EMPTY_TAGS = { title: '', artist: '', album: '', year: '', genre: '', trackNumber: '' };
+
+// Form fields of the tags, in the order they are shown
+export const TAG_FIELDS = [
+  { name: 'title', label: 'Title', formField: 'title' },
+  { name: 'artist', label: 'Artist', formField: 'artist' },
+  { name: 'album', label: 'Album', formField: 'album' },
+  { name: 'year', label: 'Year', formField: 'year', inputMode: 'numeric' },
+  { name: 'genre', label: 'Genre', formField: 'genre' },
+  { name: 'trackNumber', label: 'Track Number', formField: 'track_number', inputMode: 'numeric' },
+];
+
+// What to do with a file whose content is already in the library, skipping removes it from the queue
+export const HASH_ACTIONS = {
+  REPLACE: 'replace', // the library file is replaced by the upload
+  KEEP: 'keep', // both are kept
+};
+
+// Cover images the library can show, and their file extensions
+export const COVER_TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+export const MAX_COVER_SIZE = 5 * 1024 * 1024; // 5 MB
+
+/**
+ * Format a byte size for messages
+ * @param {number} bytes - The size
+ * @returns {string} e.g. '500 MB', '2 GB'
+ */
+export const formatSize = (bytes) => {
+  const megabytes = bytes / (1024 * 1024);
+  return megabytes >= 1024 ? `${+(megabytes / 1024).toFixed(1)} GB` : `${+megabytes.toFixed(1)} MB`;
+};
+
+/**
+ * Check that an image can be used as a cover
+ * @param {File} image - The image chosen by the user
+ * @returns {string|null} Why the image cannot be used, null if it can
+ */
+export const validateCoverImage = (image) => {
+  if (!COVER_TYPES[image.type]) {
+    return 'The cover must be a JPEG, PNG or WebP image';
+  }
+  if (image.size > MAX_COVER_SIZE) {
+    return `The cover image must be smaller than ${MAX_COVER_SIZE / (1024 * 1024)} MB`;
+  }
+  return null;
+};
+
+/**
+ * Read the duration of an audio file with a temporary audio element
+ * @param {File} file - The audio file
+ * @returns {Promise<number>} The duration in whole seconds
+ */
+export const readAudioDuration = (file) => {
+  return new Promise((resolve, reject) => {
+    const audioElement = new Audio();
+    const objectUrl = URL.createObjectURL(file);
+
+    audioElement.addEventListener('loadedmetadata', () => {
+      // Free up memory
+      URL.revokeObjectURL(objectUrl);
+      resolve(Math.round(audioElement.duration));
+    });
+
+    audioElement.addEventListener('error', () => {
+      URL.revokeObjectURL(objectUrl);
+      reject(new Error('Could not read audio file length'));
+    });
+
+    audioElement.preload = 'metadata';
+    audioElement.src = objectUrl;
+  });
+};
+
+/**
+ * Get the folder of a file picked from a directory, relative to the picked directory
+ * @param {File} file - A file from an input with `webkitdirectory`
+ * @returns {string} The subfolder path, '' for files at the top of the picked directory
+ */
+export const getRelativeFolder = (file) => {
+  // 'session/drums/take_1.wav': the picked directory, then the subfolders, then the file
+  const segments = (file.webkitRelativePath || '').split('/').filter(Boolean);
+  return segments.slice(1, -1).join('/');
+};
+
+/**
+ * Get the folder a queued file is uploaded to
+ * @param {Object} item - The queue item, see useUploadQueue
+ * @param {string} folder - The destination folder chosen for the batch
+ * @returns {string} The folder path, '' for the root
+ */
+export const getUploadFolder = (item, folder) => {
+  // Files picked with their directory keep its structure below the destination
+  return joinFolderPath(folder, item.subfolder);
+};
+
+/**
+ * Build the metadata fields of a queued file, everything the upload sends but the file itself
+ * @param {Object} item - The queue item, see useUploadQueue
+ * @param {string} folder - The destination folder chosen for the batch
+ * @returns {FormData} The metadata form fields
+ */
+export const buildUploadMetadata = (item, folder) => {
+  const formData = new FormData();
+  formData.append('audio_description', item.description);
+  formData.append('audio_category', item.category);
+  formData.append('audio_length', item.length);
+
+  const destination = getUploadFolder(item, folder);
+  if (destination) {
+    formData.append('folder', destination);
+  }
+
+  TAG_FIELDS.forEach(({ name, formField }) => {
+    if (item.tags[name].trim()) {
+      formData.append(formField, item.tags[name].trim());
+    }
+  });
+  if (item.cover) {
+    formData.append('cover', item.cover, item.cover.name || `cover.${COVER_TYPES[item.cover.type] || 'jpg'}`);
+  }
+  if (item.hash) {
+    formData.append('sha256', item.hash);
+  }
+  // The library file with the same content the user chose to replace
+  if (item.hashMatch && item.hashAction === HASH_ACTIONS.REPLACE) {
+    formData.append('replaces', item.hashMatch.filePath || item.hashMatch.fileName);
+  }
+
+  return formData;
+};
+
+/**
+ * Build the upload request of a queued file
+ * @param {Object} item - The queue item, see useUploadQueue
+ * @param {string} folder - The destination folder chosen for the batch
+ * @returns {FormData} The form data for uploadFile
+ */
+export const buildUploadFormData = (item, folder) => {
+  const formData = buildUploadMetadata(item, folder);
+  formData.append('file', item.file);
+  return formData;
+};
+
+/**
+ * Read the entries of a dropped directory, the browser returns them in batches
+ * @param {FileSystemDirectoryEntry} directory - The directory entry
+ * @returns {Promise<Array<FileSystemEntry>>} Its files and subdirectories
+ */
+const readDirectoryEntries = async (directory) => {
+  const reader = directory.createReader();
+  const entries = [];
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    entries.push(...batch);
+  } while (batch.length > 0);
+  return entries;
+};
+
+/**
+ * Collect the files of a dropped file or directory
+ * @param {FileSystemEntry} entry - The dropped entry
+ * @param {string} subfolder - Where its files go below the destination folder
+ * @returns {Promise<Array<{file: File, subfolder: string}>>} The files
+ */
+const readDroppedEntry = async (entry, subfolder) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, subfolder }];
+  }
+
+  const children = await readDirectoryEntries(entry);
+  const files = await Promise.all(children.map(child => (
+    readDroppedEntry(child, child.isDirectory ? joinFolderPath(subfolder, child.name) : subfolder)
+  )));
+  return files.flat();
+};
+
+/**
+ * Get the files of a drop, including the content of dropped directories
+ *
+ * Like the folder picker, a dropped directory is not recreated itself: its files go to the
+ * destination folder and its subdirectories become subfolders of it.
+ *
+ * @param {DataTransfer} dataTransfer - The dataTransfer of the drop event
+ * @returns {Promise<Array<{file: File, subfolder: string}>>} The dropped files
+ */
+export const readDroppedFiles = (dataTransfer) => {
+  // The entries must be taken while the drop event is handled, the list is emptied afterwards
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.());
+
+  if (entries.length === 0 || entries.some(entry => !entry)) {
+    return Promise.resolve(Array.from(dataTransfer.files).map(file => ({ file, subfolder: '' })));
+  }
+  return Promise.all(entries.map(entry => readDroppedEntry(entry, ''))).then(files => files.flat());
+};
+
+// Files dropped on the library, waiting for the upload page to queue them
+let pendingUploads = [];
+
+/**
+ * Hand dropped files over to the upload page, which takes them when it opens
+ * @param {Array<{file: File, subfolder: string}>} files - The dropped files
+ */
+export const setPendingUploads = (files) => {
+  pendingUploads = files;
+};
+
+/**
+ * Take the files handed over with setPendingUploads, they are only given out once
+ * @returns {Array<{file: File, subfolder: string}>} The files, empty if there are none
+ */
+export const takePendingUploads = () => {
+  const files = pendingUploads;
+  pendingUploads = [];
+  return files;
+};
@@ -0,0 +1,120 @@
+import { downloadFile, getFileSize, getWaveform } from './api';
+import { fitsDecodeLimits } from './decodeLimits';
+
+// Number of peaks drawn for a track, enough for the widest card on a high-density screen
+export const WAVEFORM_RESOLUTION = 1000;
+
+// Decoding needs the whole file, allow more time than for normal requests
+const DECODE_DOWNLOAD_TIMEOUT = 120000; // 2 minutes
+
+// Peaks of the most recently shown tracks, so reopening a card does not decode again
+const MAX_CACHED_WAVEFORMS = 50;
+const peaksCache = new Map();
+const pendingPeaks = new Map();
+
+/**
+ * Reduce decoded audio to peaks: the loudest sample of each slice, over all channels
+ * @param {AudioBuffer} audioBuffer - The decoded audio
+ * @param {number} count - Number of peaks
+ * @returns {Array<number>} The peaks, scaled so the loudest is 1
+ */
+export const computePeaks = (audioBuffer, count = WAVEFORM_RESOLUTION) => {
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, i) => audioBuffer.getChannelData(i));
+  const sliceSize = Math.max(Math.floor(audioBuffer.length / count), 1);
+  const peaks = new Array(Math.min(count, audioBuffer.length)).fill(0);
+
+  peaks.forEach((_, index) => {
+    const start = index * sliceSize;
+    const end = Math.min(start + sliceSize, audioBuffer.length);
+    let peak = 0;
+    channels.forEach((data) => {
+      for (let i = start; i < end; i++) {
+        const value = Math.abs(data[i]);
+        if (value > peak) peak = value;
+      }
+    });
+    peaks[index] = peak;
+  });
+
+  const max = Math.max(...peaks, 0);
+  return max > 0 ? peaks.map(peak => peak / max) : peaks;
+};
+
+/**
+ * Download and decode a file in the browser to compute its peaks
+ * @param {string} fileName - The file name or path of the audio file
+ * @param {number|null} duration - The duration in seconds, null if unknown
+ * @returns {Promise<Array<number>>} The peaks
+ * @throws {Error} If the file is too large to be decoded in the browser, see fitsDecodeLimits
+ */
+const decodePeaks = async (fileName, duration) => {
+  const size = await getFileSize(fileName);
+  if (!fitsDecodeLimits({ size, length: duration })) {
+    throw new Error('The file is too large to compute its waveform in the browser');
+  }
+
+  const blob = await downloadFile(fileName, { timeout: DECODE_DOWNLOAD_TIMEOUT });
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+
+  try {
+    const audioBuffer = await context.decodeAudioData(await blob.arrayBuffer());
+    return computePeaks(audioBuffer);
+  } finally {
+    context.close();
+  }
+};
+
+/**
+ * Remember the peaks of a file, dropping the least recently used ones
+ * @param {string} fileName - The file name or path of the audio file
+ * @param {Array<number>} peaks - The peaks
+ */
+const cachePeaks = (fileName, peaks) => {
+  peaksCache.delete(fileName);
+  peaksCache.set(fileName, peaks);
+  if (peaksCache.size > MAX_CACHED_WAVEFORMS) {
+    peaksCache.delete(peaksCache.keys().next().value);
+  }
+};
+
+/**
+ * Get the waveform peaks of an audio file
+ *
+ * Uses the peaks precomputed by the backend when it has them. When it has none (404) the file
+ * is downloaded and decoded with the Web Audio API, if it is within the decode limits. Results
+ * are cached and concurrent calls for the same file share one request.
+ *
+ * @param {string} fileName - The file name or path of the audio file
+ * @param {Object} options
+ * @param {number|null} options.duration - The duration in seconds, for the decode limits
+ * @returns {Promise<Array<number>>} The peaks, between 0 and 1
+ */
+export const getPeaks = (fileName, { duration = null } = {}) => {
+  if (peaksCache.has(fileName)) {
+    const peaks = peaksCache.get(fileName);
+    cachePeaks(fileName, peaks);
+    return Promise.resolve(peaks);
+  }
+  if (pendingPeaks.has(fileName)) return pendingPeaks.get(fileName);
+
+  const promise = (async () => {
+    try {
+      let peaks;
+      try {
+        peaks = await getWaveform(fileName);
+      } catch (err) {
+        // Only a missing waveform is computed here, auth and server errors would fail again
+        if (err.status !== 404) throw err;
+        peaks = await decodePeaks(fileName, duration);
+      }
+      cachePeaks(fileName, peaks);
+      return peaks;
+    } finally {
+      pendingPeaks.delete(fileName);
+    }
+  })();
+
+  pendingPeaks.set(fileName, promise);
+  return promise;
+};
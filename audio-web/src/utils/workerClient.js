@@ -0,0 +1,84 @@
+import { ApiError } from './api';
+
+/**
+ * Run jobs on a Web Worker shared by the whole page
+ *
+ * The worker receives `{id, ...message}` and answers with `{id, progress}` (0-100) while it
+ * works, then `{id, result}` or `{id, error}`. Aborting a job sends `{id, cancel: true}`.
+ *
+ * @param {Function} createWorker - Starts the worker, e.g.
+ *   `() => new Worker(new URL('../workers/name.worker.js', import.meta.url))`; the bundler only
+ *   finds the worker when the URL is written out like this
+ * @returns {Function} `run(message, {onProgress, signal, transfer})`, returning a Promise of
+ *   the result; it rejects with kind 'aborted' when the signal fires
+ */
+export const createWorkerClient = (createWorker) => {
+  let worker = null;
+  let nextJobId = 1;
+  // Pending jobs by id: `{resolve, reject, onProgress}`
+  const jobs = new Map();
+
+  const getWorker = () => {
+    if (worker) return worker;
+
+    worker = createWorker();
+    worker.onmessage = ({ data }) => {
+      const job = jobs.get(data.id);
+      if (!job) return;
+
+      if (data.progress !== undefined) {
+        job.onProgress?.(data.progress);
+        return;
+      }
+      jobs.delete(data.id);
+      if (data.error) {
+        job.reject(new Error(data.error));
+      } else {
+        job.resolve(data.result);
+      }
+    };
+    // The worker could not start or crashed: fail its jobs, the next job starts a new one
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      jobs.forEach(job => job.reject(new Error(event.message || 'The worker failed')));
+      jobs.clear();
+      worker.terminate();
+      worker = null;
+    };
+    return worker;
+  };
+
+  return (message, { onProgress, signal, transfer = [] } = {}) => {
+    if (typeof Worker === 'undefined') {
+      return Promise.reject(new Error('Web Workers are not supported by this browser'));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(new ApiError('The job was cancelled', { kind: 'aborted' }));
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = nextJobId++;
+      const cleanUp = () => signal?.removeEventListener('abort', handleAbort);
+      const handleAbort = () => {
+        if (!jobs.has(id)) return;
+        jobs.delete(id);
+        worker?.postMessage({ id, cancel: true });
+        reject(new ApiError('The job was cancelled', { kind: 'aborted' }));
+      };
+
+      jobs.set(id, {
+        resolve: (result) => {
+          cleanUp();
+          resolve(result);
+        },
+        reject: (err) => {
+          cleanUp();
+          reject(err);
+        },
+        onProgress,
+      });
+      signal?.addEventListener('abort', handleAbort);
+      getWorker().postMessage({ id, ...message }, transfer);
+    });
+  };
+};
@@ -0,0 +1,60 @@
+/**
+ * SHA-256 of files, computed off the main thread
+ *
+ * crypto.subtle.digest needs the whole file in memory, so the hash is computed here
+ * incrementally with hash-wasm, reading the file a chunk at a time. Files are hashed one after
+ * the other.
+ *
+ * Messages received: `{id, file}`, or `{id, cancel}` to stop a job. Messages sent: `{id, progress}`
+ * (0-100) while reading, then `{id, result}` with the hash as hex, or `{id, error}`.
+ */
+import { createSHA256 } from 'hash-wasm';
+
+// Bytes read at a time
+const CHUNK_SIZE = 4 * 1024 * 1024; // 4 MB
+
+/**
+ * Hash a file a chunk at a time
+ * @param {number} id - The job id, sent back with every message
+ * @param {File|Blob} file - The file
+ */
+const hashFile = async (id, file) => {
+  const hasher = await createSHA256();
+  let lastProgress = -1;
+
+  for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+    if (cancelled.has(id)) return;
+    const chunk = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+    hasher.update(new Uint8Array(chunk));
+
+    const progress = Math.floor(((offset + chunk.byteLength) / file.size) * 100);
+    if (progress !== lastProgress) {
+      lastProgress = progress;
+      self.postMessage({ id, progress });
+    }
+  }
+
+  self.postMessage({ id, result: hasher.digest('hex') });
+};
+
+// Jobs run one after the other, so a batch of files does not read them all at once
+let queue = Promise.resolve();
+// Ids of the jobs waiting or running, and of those among them that were cancelled. A cancel
+// arriving after its job finished is ignored, so no id is kept forever.
+const pending = new Set();
+const cancelled = new Set();
+
+self.onmessage = ({ data: { id, file, cancel } }) => {
+  if (cancel) {
+    if (pending.has(id)) cancelled.add(id);
+    return;
+  }
+  pending.add(id);
+  queue = queue
+    .then(() => hashFile(id, file))
+    .catch(err => self.postMessage({ id, error: err.message || 'Could not hash the file' }))
+    .finally(() => {
+      pending.delete(id);
+      cancelled.delete(id);
+    });
+};
@@ -0,0 +1,460 @@
+/**
+ * Audio transcoding off the main thread, with the LAME MP3 and Ogg Vorbis encoders compiled to
+ * WebAssembly
+ *
+ * WAV and AIFF files are decoded here a chunk at a time, so files of several GB never sit in
+ * memory whole. Other formats are decoded by the page and arrive as PCM. Files are converted one
+ * after the other. A trimmed file is cut to its range and faded in and out on the way; trimmed
+ * lossless files may be written back as WAV.
+ *
+ * Messages received: `{id, format, bitrate, tags, cover, trim}` with either `file` (WAV or AIFF)
+ * or `pcm: {sampleRate, channels}`, or `{id, cancel}` to stop a job. `format` is 'mp3', 'ogg' or
+ * 'wav'; `trim` is null or `{start, end, fadeIn, fadeOut}` in seconds. Messages sent:
+ * `{id, progress}` (0-100), then `{id, result}` with the encoded Blob, or `{id, error}`.
+ */
+import { createMp3Encoder, createOggEncoder } from 'wasm-media-encoders';
+
+// Sample frames encoded at a time, a multiple of the 1152 samples of an MP3 frame
+const FRAMES_PER_CHUNK = 1152 * 128;
+
+// Sample rates MP3 can store, other rates are resampled by the encoder
+const MP3_SAMPLE_RATES = [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000];
+
+// Ogg Vorbis is configured by quality, these give about the nominal bitrate for stereo 44.1 kHz
+const VORBIS_QUALITIES = { 96: 2, 128: 4, 160: 5, 192: 6, 256: 8, 320: 9 };
+
+// ID3v2.3 frames of the tags kept in converted MP3 files
+const ID3_FRAMES = {
+  title: 'TIT2',
+  artist: 'TPE1',
+  album: 'TALB',
+  year: 'TYER',
+  genre: 'TCON',
+  trackNumber: 'TRCK',
+};
+
+const readBytes = async (file, offset, length) => new Uint8Array(await file.slice(offset, offset + length).arrayBuffer());
+
+const readCode = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+const MIME_TYPES = { mp3: 'audio/mpeg', ogg: 'audio/ogg', wav: 'audio/wav' };
+
+/**
+ * Read the layout of the samples of a WAV file
+ * @param {File} file - The WAV file
+ * @returns {Promise<Object>} `channels`, `sampleRate`, `bits`, `float`, `littleEndian`,
+ *   `unsigned8` and the `start` and `size` of the sample data
+ */
+const readWavLayout = async (file) => {
+  let layout = null;
+  let offset = 12;
+
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, 8);
+    const view = new DataView(header.buffer);
+    const size = view.getUint32(4, true);
+
+    if (readCode(header, 0) === 'fmt ') {
+      const body = new DataView((await readBytes(file, offset + 8, Math.min(size, 40))).buffer);
+      let tag = body.getUint16(0, true);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format at the start of its sub-format GUID
+      if (tag === 0xfffe && size >= 26) tag = body.getUint16(24, true);
+      if (tag !== 1 && tag !== 3) throw new Error('Only PCM and floating point WAV files can be converted');
+      layout = {
+        channels: body.getUint16(2, true),
+        sampleRate: body.getUint32(4, true),
+        bits: body.getUint16(14, true),
+        float: tag === 3,
+        littleEndian: true,
+        unsigned8: true,
+      };
+    } else if (readCode(header, 0) === 'data') {
+      if (!layout) throw new Error('The WAV file has no format chunk before its data');
+      // Streaming writers leave the size at 0 or 0xFFFFFFFF, the data then runs to the end
+      const available = file.size - offset - 8;
+      return { ...layout, start: offset + 8, size: size === 0 || size > available ? available : size };
+    }
+    offset += 8 + size + (size % 2);
+  }
+  throw new Error('The WAV file has no audio data');
+};
+
+/**
+ * Read the layout of the samples of an AIFF file
+ * @param {File} file - The AIFF or uncompressed AIFC file
+ * @returns {Promise<Object>} The same fields as readWavLayout
+ */
+const readAiffLayout = async (file) => {
+  let layout = null;
+  let offset = 12;
+
+  while (offset + 8 <= file.size) {
+    const header = await readBytes(file, offset, 8);
+    const size = new DataView(header.buffer).getUint32(4);
+
+    if (readCode(header, 0) === 'COMM') {
+      const bytes = await readBytes(file, offset + 8, Math.min(size, 22));
+      const body = new DataView(bytes.buffer);
+      // The sample rate is an 80-bit extended float
+      const exponent = (body.getUint16(8) & 0x7fff) - 16383;
+      const compression = size >= 22 ? readCode(bytes, 18) : 'NONE';
+      if (!['NONE', 'sowt', 'fl32', 'FL32'].includes(compression)) {
+        throw new Error('Compressed AIFF files cannot be converted');
+      }
+      layout = {
+        channels: body.getUint16(0),
+        sampleRate: Math.round(body.getUint32(10) * Math.pow(2, exponent - 31)),
+        bits: compression.toLowerCase() === 'fl32' ? 32 : body.getUint16(6),
+        float: compression.toLowerCase() === 'fl32',
+        littleEndian: compression === 'sowt',
+        unsigned8: false,
+      };
+    } else if (readCode(header, 0) === 'SSND') {
+      if (!layout) throw new Error('The AIFF file has no COMM chunk before its data');
+      const dataOffset = new DataView((await readBytes(file, offset + 8, 4)).buffer).getUint32(0);
+      const start = offset + 16 + dataOffset;
+      return { ...layout, start, size: Math.min(size - 8 - dataOffset, file.size - start) };
+    }
+    offset += 8 + size + (size % 2);
+  }
+  throw new Error('The AIFF file has no audio data');
+};
+
+/**
+ * Read one sample as a float between -1 and 1
+ * @param {DataView} view - The sample data
+ * @param {number} position - Byte offset of the sample
+ * @param {Object} layout - The sample layout
+ * @returns {number} The sample
+ */
+const readSample = (view, position, { bits, float, littleEndian, unsigned8 }) => {
+  if (float) {
+    return bits === 64 ? view.getFloat64(position, littleEndian) : view.getFloat32(position, littleEndian);
+  }
+  switch (bits) {
+    case 8:
+      return unsigned8 ? (view.getUint8(position) - 128) / 128 : view.getInt8(position) / 128;
+    case 16:
+      return view.getInt16(position, littleEndian) / 32768;
+    case 24: {
+      const high = littleEndian ? view.getInt8(position + 2) : view.getInt8(position);
+      const middle = view.getUint8(position + 1);
+      const low = littleEndian ? view.getUint8(position) : view.getUint8(position + 2);
+      return ((high << 16) | (middle << 8) | low) / 8388608;
+    }
+    case 32:
+      return view.getInt32(position, littleEndian) / 2147483648;
+    default:
+      throw new Error(`${bits}-bit audio cannot be converted`);
+  }
+};
+
+/**
+ * Get the sample frames a job encodes
+ * @param {number} totalFrames - Number of frames of the file
+ * @param {number} sampleRate - Its sample rate
+ * @param {Object|null} trim - The trim range in seconds
+ * @returns {{first: number, last: number}} The first frame and the frame after the last one
+ */
+const getFrameRange = (totalFrames, sampleRate, trim) => {
+  if (!trim) return { first: 0, last: totalFrames };
+  const first = Math.min(Math.max(Math.round(trim.start * sampleRate), 0), totalFrames);
+  return { first, last: Math.min(Math.max(Math.round(trim.end * sampleRate), first), totalFrames) };
+};
+
+/**
+ * Decode WAV or AIFF samples a chunk at a time, mixed down to at most two channels
+ * @param {File} file - The file
+ * @param {Object} layout - Its sample layout
+ * @param {Object|null} trim - The trim range in seconds, null for the whole file
+ * @yields {{channels: Array<Float32Array>, position: number, length: number, progress: number}}
+ *   The samples of each output channel, from `position` frames into the `length` frames encoded
+ */
+async function* readFileChunks(file, layout, trim) {
+  const bytesPerSample = layout.bits / 8;
+  const frameSize = bytesPerSample * layout.channels;
+  const outputChannels = Math.min(layout.channels, 2);
+  const { first, last } = getFrameRange(Math.floor(layout.size / frameSize), layout.sampleRate, trim);
+
+  for (let frame = first; frame < last; frame += FRAMES_PER_CHUNK) {
+    const frames = Math.min(FRAMES_PER_CHUNK, last - frame);
+    const bytes = await readBytes(file, layout.start + frame * frameSize, frames * frameSize);
+    const view = new DataView(bytes.buffer);
+    const channels = Array.from({ length: outputChannels }, () => new Float32Array(frames));
+
+    for (let i = 0; i < frames; i++) {
+      for (let channel = 0; channel < layout.channels; channel++) {
+        const sample = readSample(view, i * frameSize + channel * bytesPerSample, layout);
+        // Beyond stereo, even channels are mixed into the left and odd ones into the right
+        channels[channel % outputChannels][i] += sample;
+      }
+    }
+    if (layout.channels > 2) {
+      const perSide = [Math.ceil(layout.channels / 2), Math.floor(layout.channels / 2)];
+      channels.forEach((data, side) => data.forEach((sample, i) => {
+        data[i] = sample / perSide[side];
+      }));
+    }
+
+    yield { channels, position: frame - first, length: last - first, progress: (frame + frames - first) / (last - first) };
+  }
+}
+
+/**
+ * Cut decoded PCM into chunks, mixed down to at most two channels
+ * @param {Object} pcm - `sampleRate` and the Float32Array of each channel
+ * @param {Object|null} trim - The trim range in seconds, null for the whole file
+ * @yields {{channels: Array<Float32Array>, position: number, length: number, progress: number}}
+ *   The samples of each output channel, from `position` frames into the `length` frames encoded
+ */
+function* readPcmChunks(pcm, trim) {
+  const outputChannels = Math.min(pcm.channels.length, 2);
+  const { first, last } = getFrameRange(pcm.channels[0]?.length || 0, pcm.sampleRate, trim);
+
+  for (let frame = first; frame < last; frame += FRAMES_PER_CHUNK) {
+    const end = Math.min(frame + FRAMES_PER_CHUNK, last);
+    let channels = pcm.channels.slice(0, outputChannels).map(data => data.subarray(frame, end));
+
+    if (pcm.channels.length > 2) {
+      channels = [0, 1].map((side) => {
+        const sources = pcm.channels.filter((_, index) => index % 2 === side);
+        const mixed = new Float32Array(end - frame);
+        sources.forEach(data => data.subarray(frame, end).forEach((sample, i) => {
+          mixed[i] += sample / sources.length;
+        }));
+        return mixed;
+      });
+    }
+
+    yield { channels, position: frame - first, length: last - first, progress: (end - first) / (last - first) };
+  }
+}
+
+/**
+ * Fade a chunk in and out, the gain rises and falls linearly like the preview of the page
+ * @param {Array<Float32Array>} channels - The samples of the chunk, changed in place
+ * @param {number} position - Frame of the chunk's first sample, counted from the trim start
+ * @param {number} length - Number of frames in the trim range
+ * @param {number} sampleRate - The sample rate
+ * @param {Object} trim - `fadeIn` and `fadeOut` in seconds
+ */
+const applyFades = (channels, position, length, sampleRate, { fadeIn = 0, fadeOut = 0 }) => {
+  const fadeInFrames = Math.round(fadeIn * sampleRate);
+  const fadeOutFrames = Math.round(fadeOut * sampleRate);
+  const chunkLength = channels[0].length;
+  // Nothing to do in the middle of the range
+  if (position >= fadeInFrames && position + chunkLength <= length - fadeOutFrames) return;
+
+  for (let i = 0; i < chunkLength; i++) {
+    const frame = position + i;
+    let gain = 1;
+    if (frame < fadeInFrames) gain = frame / fadeInFrames;
+    if (frame >= length - fadeOutFrames) gain = Math.min(gain, (length - frame - 1) / fadeOutFrames);
+    if (gain < 1) {
+      channels.forEach((data) => {
+        data[i] *= Math.max(gain, 0);
+      });
+    }
+  }
+};
+
+/**
+ * Create a WAV writer, the lossless output of trimmed WAV, AIFF and FLAC files
+ * @param {number} bits - 16 or 24 bits per sample
+ * @returns {Object} An encoder like those of wasm-media-encoders: `configure`, `encode` and
+ *   `finalize`, except that `finalize` returns the header that goes before the samples
+ */
+const createWavEncoder = (bits) => {
+  const bytesPerSample = bits / 8;
+  const scale = bits === 16 ? 32767 : 8388607;
+  let channelCount = 0;
+  let sampleRate = 0;
+  let dataSize = 0;
+
+  return {
+    configure: (options) => {
+      channelCount = options.channels;
+      sampleRate = options.sampleRate;
+    },
+    encode: (channels) => {
+      const frames = channels[0].length;
+      const bytes = new Uint8Array(frames * channelCount * bytesPerSample);
+      const view = new DataView(bytes.buffer);
+      let offset = 0;
+      for (let i = 0; i < frames; i++) {
+        channels.forEach((data) => {
+          const sample = Math.round(Math.min(Math.max(data[i], -1), 1) * scale);
+          if (bits === 16) {
+            view.setInt16(offset, sample, true);
+          } else {
+            view.setUint8(offset, sample & 0xff);
+            view.setInt16(offset + 1, sample >> 8, true);
+          }
+          offset += bytesPerSample;
+        });
+      }
+      dataSize += bytes.length;
+      return bytes;
+    },
+    finalize: () => {
+      const header = new Uint8Array(44);
+      const view = new DataView(header.buffer);
+      const writeCode = (offset, code) => header.set([...code].map(char => char.charCodeAt(0)), offset);
+      writeCode(0, 'RIFF');
+      view.setUint32(4, 36 + dataSize, true);
+      writeCode(8, 'WAVE');
+      writeCode(12, 'fmt ');
+      view.setUint32(16, 16, true);
+      view.setUint16(20, 1, true);
+      view.setUint16(22, channelCount, true);
+      view.setUint32(24, sampleRate, true);
+      view.setUint32(28, sampleRate * channelCount * bytesPerSample, true);
+      view.setUint16(32, channelCount * bytesPerSample, true);
+      view.setUint16(34, bits, true);
+      writeCode(36, 'data');
+      view.setUint32(40, dataSize, true);
+      return header;
+    },
+  };
+};
+
+/**
+ * Build an ID3v2.3 tag with the tags and cover of the original file
+ * @param {Object} tags - Tag values by name, see ID3_FRAMES
+ * @param {Blob|null} cover - The cover image
+ * @returns {Promise<Uint8Array|null>} The tag, null if there is nothing to write
+ */
+const buildId3Tag = async (tags = {}, cover = null) => {
+  const frames = [];
+  const addFrame = (id, body) => {
+    const header = new Uint8Array(10);
+    header.set([...id].map(char => char.charCodeAt(0)));
+    new DataView(header.buffer).setUint32(4, body.length);
+    frames.push(header, body);
+  };
+
+  Object.entries(ID3_FRAMES).forEach(([name, id]) => {
+    const value = String(tags[name] || '').trim();
+    if (!value) return;
+    // UTF-16 with a byte order mark, the only Unicode encoding of ID3v2.3
+    const body = new Uint8Array(3 + value.length * 2);
+    body.set([1, 0xff, 0xfe]);
+    for (let i = 0; i < value.length; i++) {
+      body[3 + i * 2] = value.charCodeAt(i) & 0xff;
+      body[4 + i * 2] = value.charCodeAt(i) >> 8;
+    }
+    addFrame(id, body);
+  });
+
+  if (cover) {
+    const mimeType = [...(cover.type || 'image/jpeg')].map(char => char.charCodeAt(0));
+    const image = new Uint8Array(await cover.arrayBuffer());
+    const body = new Uint8Array(mimeType.length + 4 + image.length);
+    // Latin-1 text, the MIME type, picture type 3 (front cover) and an empty description
+    body.set([0, ...mimeType, 0, 3, 0]);
+    body.set(image, mimeType.length + 4);
+    addFrame('APIC', body);
+  }
+
+  if (frames.length === 0) return null;
+
+  const size = frames.reduce((sum, frame) => sum + frame.length, 0);
+  const tag = new Uint8Array(10 + size);
+  // 'ID3', version 2.3.0, no flags and the size as a syncsafe integer
+  tag.set([0x49, 0x44, 0x33, 3, 0, 0, (size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+  let offset = 10;
+  frames.forEach((frame) => {
+    tag.set(frame, offset);
+    offset += frame.length;
+  });
+  return tag;
+};
+
+/**
+ * Pick the MP3 output sample rate for a source rate
+ * @param {number} sampleRate - The source sample rate
+ * @returns {number|undefined} The rate to resample to, undefined to keep the source rate
+ */
+const getMp3OutputRate = (sampleRate) => {
+  if (MP3_SAMPLE_RATES.includes(sampleRate)) return undefined;
+  if (sampleRate > 48000) return sampleRate % 48000 === 0 ? 48000 : 44100;
+  return MP3_SAMPLE_RATES.find(rate => rate > sampleRate) || 48000;
+};
+
+// Ids of the jobs cancelled before they finished
+const cancelled = new Set();
+
+/**
+ * Convert one file
+ * @param {Object} job - The job message
+ */
+const transcode = async ({ id, file, pcm, format, bitrate, tags, cover, trim = null }) => {
+  let sampleRate;
+  let chunks;
+  // Bits per sample of WAV output: the source's up to 24, which decoded PCM may have
+  let bits = 24;
+  if (pcm) {
+    sampleRate = pcm.sampleRate;
+    chunks = readPcmChunks(pcm, trim);
+  } else {
+    const head = await readBytes(file, 0, 12);
+    const layout = readCode(head, 0) === 'RIFF' ? await readWavLayout(file) : await readAiffLayout(file);
+    sampleRate = layout.sampleRate;
+    bits = layout.bits <= 16 && !layout.float ? 16 : 24;
+    chunks = readFileChunks(file, layout, trim);
+  }
+
+  let encoder;
+  if (format === 'wav') {
+    encoder = createWavEncoder(bits);
+  } else {
+    encoder = format === 'mp3' ? await createMp3Encoder() : await createOggEncoder();
+  }
+  let configured = false;
+  const parts = [];
+  let lastProgress = -1;
+
+  for await (const { channels, position, length, progress } of chunks) {
+    if (cancelled.delete(id)) return;
+
+    if (!configured) {
+      encoder.configure(format === 'mp3'
+        ? { sampleRate, channels: channels.length, bitrate, outputSampleRate: getMp3OutputRate(sampleRate) }
+        : { sampleRate, channels: channels.length, vbrQuality: VORBIS_QUALITIES[bitrate] ?? 5 });
+      configured = true;
+    }
+    if (trim) applyFades(channels, position, length, sampleRate, trim);
+    // The encoder owns the returned bytes and reuses them on the next call
+    parts.push(encoder.encode(channels).slice());
+
+    const percent = Math.floor(progress * 100);
+    if (percent !== lastProgress) {
+      lastProgress = percent;
+      self.postMessage({ id, progress: percent });
+    }
+  }
+  if (!configured) throw new Error('The file contains no audio');
+  if (format === 'wav') {
+    parts.unshift(encoder.finalize());
+  } else {
+    parts.push(encoder.finalize().slice());
+  }
+
+  // Ogg and WAV files keep their tags in the upload metadata only
+  const tag = format === 'mp3' ? await buildId3Tag(tags, cover) : null;
+  if (tag) parts.unshift(tag);
+
+  self.postMessage({ id, result: new Blob(parts, { type: MIME_TYPES[format] }) });
+};
+
+let queue = Promise.resolve();
+
+self.onmessage = ({ data }) => {
+  if (data.cancel) {
+    cancelled.add(data.id);
+    return;
+  }
+  queue = queue
+    .then(() => transcode(data))
+    .catch(err => self.postMessage({ id: data.id, error: err.message || 'Could not convert the file' }));
+};